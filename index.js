@@ -1,489 +1,493 @@
-import process from "node:process";
-import axios from "axios";
 import cors from "cors";
-import dotenv from "dotenv";
 import express from "express";
 import helmet from "helmet";
 import { createClient } from "redis";
 import PocketBase from "pocketbase";
-
-dotenv.config();
+import { createApiKeys } from "./src/api-keys.js";
+import { currentBot, getBot, listBots, namespacedPocketBase, namespacedRedis, withBot } from "./src/bots.js";
+import { createBroadcasts } from "./src/broadcasts.js";
+import { createChatBot } from "./src/chat-bot.js";
+import {
+  POCKETBASE_EMAIL,
+  POCKETBASE_PASSWORD,
+  POCKETBASE_URL,
+  PORT,
+  REDIS_URL,
+  UPDATE_MODE,
+} from "./src/config.js";
+import { createDedup } from "./src/dedup.js";
+import { createHealthRouter } from "./src/health.js";
+import { createHooksRouter } from "./src/hooks/index.js";
+import { checkRemoteSizes, parseUpload } from "./src/media.js";
+import { notifications, registerGauge } from "./src/metrics.js";
+import { createNotificationLog, NOTIFICATION_STATUSES } from "./src/notification-log.js";
+import { createNotifyCallbacks } from "./src/notify-callbacks.js";
+import { parseNotifyPayload, parseUpdatePayload } from "./src/notify-payload.js";
+import { createNotifyQueue } from "./src/notify-queue.js";
+import { createNotifyUpdates } from "./src/notify-updates.js";
+import { createSchedules } from "./src/schedules.js";
+import { deliverNotification } from "./src/telegram.js";
+import { createTemplates } from "./src/templates.js";
+import { createUpdatePoller } from "./src/update-poller.js";
 
 const app = express();
 app.use(cors());
 app.use(helmet());
-app.use(express.json());
-
-// see readme.md for env vars
-const BOT_TOKEN = process.env.BOT_TOKEN;
-const CHAT_ID = process.env.CHAT_ID;
-const ERKUT_API_KEY = process.env.ERKUT_API_KEY;
-const SECRET_TOKEN = process.env.SECRET_TOKEN;
-const WEBHOOK_PATH = process.env.WEBHOOK_PATH || "webhook";
-const REDIS_URL = process.env.REDIS_URL;
-
-// GPT API endpoint
-const GPT_BASE_URL = process.env.GPT_BASE_URL;
-const SYSTEM_PROMPT = process.env.SYSTEM_PROMPT;
-const POCKETBASE_URL = process.env.POCKETBASE_URL;
-const POCKETBASE_EMAIL = process.env.POCKETBASE_EMAIL;
-const POCKETBASE_PASSWORD = process.env.POCKETBASE_PASSWORD;
-
-const DEFAULT_SYSTEM_PROMPT_SUFFIX = "Give flirty answers only.";
+// base64 attachments make /notify bodies larger than the 100kb default,
+// the raw body is kept for webhook signature checks
+app.use(express.json({
+  limit: "70mb",
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // redis client setup
 const redis = createClient({ url: REDIS_URL });
 redis.on("error", err => console.error("Redis Client Error", err));
 await redis.connect();
+// conversations, quotas and the like are kept per bot, shared queues use `redis`
+const botRedis = namespacedRedis(redis);
 
-// PB client setup
-const pb = new PocketBase(POCKETBASE_URL);
+// PB client setup, the chat collections of further bots are their own copies
+const pb = namespacedPocketBase(new PocketBase(POCKETBASE_URL));
 // disable auto cancellation to allow concurrent requests
 pb.autoCancellation(false);
 
 // authenticate PB as admin (needed to write to 'messages' collection)
 // in a real app you might use a specific bot user, but admin is fine for this
+function authenticatePocketBase() {
+  return pb.admins.authWithPassword(POCKETBASE_EMAIL, POCKETBASE_PASSWORD);
+}
 try {
-  await pb.admins.authWithPassword(POCKETBASE_EMAIL, POCKETBASE_PASSWORD);
+  await authenticatePocketBase();
   console.log("✅ PocketBase admin authenticated");
 }
 catch (e) {
+  // /readyz reports it and logs in again
   console.warn("⚠️ PocketBase auth failed:", e.message);
 }
 
-// stores threadId ➜ promise chain for sequential processing (remains in-memory)
-const threadQueues = new Map();
+// api keys live in PB, their quotas in redis
+const apiKeys = createApiKeys({ pb, redis });
+
+// named /notify templates live in PB
+const templates = createTemplates({ pb, requireApiKey: apiKeys.requireApiKey });
+
+// outbound notifications go through the redis queue and are logged to PB
+const notificationLog = createNotificationLog(pb);
+// the queue sends what the modules below queue, sendQueued and onNotifyJobChange are declared after them
+const notifyQueue = createNotifyQueue({ redis, send: sendQueued, onChange: onNotifyJobChange });
+const notifyUpdates = createNotifyUpdates({ redis: botRedis, getJob: notifyQueue.getJob, enqueue: notifyQueue.enqueue });
+// repeated notifications are folded into one message before they reach the queue
+const dedup = createDedup({ redis: botRedis, updates: notifyUpdates, enqueue: notifyQueue.enqueue });
+// messages to every bot user, fanned out through the queue a page at a time
+const broadcasts = createBroadcasts({
+  pb,
+  redis,
+  requireApiKey: apiKeys.requireApiKey,
+  hasScope: apiKeys.hasScope,
+  prepare: prepareNotification,
+  enqueue: notifyQueue.enqueue,
+});
+
+function sendQueued(chatId, payload) {
+  if (payload.dedup_edit)
+    return dedup.deliverEdit(chatId, payload);
+  if (payload.update || payload.delete)
+    return notifyUpdates.deliver(chatId, payload);
+  return deliverNotification(chatId, payload);
+}
 
-// stores mediaGroupId ➜ buffer for grouping images
-const mediaGroupBuffers = new Map();
+async function onNotifyJobChange(job) {
+  if (job.status !== "queued")
+    notifications.inc({ status: job.status });
+  await notificationLog.sync(job);
+  await dedup.onJobChange(job);
+  await broadcasts.onJobChange(job);
+}
 
-// notify function
-async function sendNotification(chatId, text) {
+notifyQueue.start();
+broadcasts.start();
+
+// clicks on callback buttons of notifications come back through the telegram webhook
+const notifyCallbacks = createNotifyCallbacks({ redis });
+// messages to the bot: commands and ai answers, queued per conversation
+const chatBot = createChatBot({ pb, redis, botRedis, notifyCallbacks, broadcasts });
+chatBot.chatQueue.start();
+
+// queue depths for /metrics, read from redis on every scrape
+registerGauge("notify_queue_depth", "Notifications waiting to be sent, scheduled and retrying ones included", async () => (await notifyQueue.depth()).queued);
+registerGauge("notify_dead_letters", "Notifications kept in the dead-letter list", async () => (await notifyQueue.depth()).deadLetters);
+registerGauge("chat_active_conversations", "Conversations with AI messages waiting or being answered", () => chatBot.chatQueue.activeCount());
+
+/**
+ * Queues a validated /notify value for one chat, the way /notify, hooks and
+ * schedules all send, as the bot the value names. Callback buttons get a
+ * fresh token that is registered for the job the notification became.
+ */
+function dispatchNotification(chatId, value, { caller } = {}) {
+  return withBot(value.bot, async () => {
+    const { token, value: tokenized } = notifyCallbacks.prepare(value);
+    const result = await dedup.dispatch(chatId, tokenized, { caller });
+    if (token && result.job)
+      await notifyCallbacks.register(token, { jobId: result.job_id ?? result.job.id, chatId, caller, value: tokenized });
+    return result;
+  });
+}
+
+// renders { template, vars } bodies, PB errors become a 502
+async function expandTemplate(body) {
   try {
-    const res = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-      chat_id: chatId,
-      text,
-      parse_mode: "HTML",
-      disable_web_page_preview: false,
-    });
-    return { ok: true, data: res.data.result };
+    return await templates.expand(body);
   }
   catch (e) {
-    return { error: e.message };
+    console.warn("Template render error:", e.message);
+    return { status: 502, error: "failed to load template" };
   }
 }
 
-async function getTelegramFileUrl(fileId) {
-  const res = await axios.get(`https://api.telegram.org/bot${BOT_TOKEN}/getFile?file_id=${fileId}`);
-  const filePath = res.data.result.file_path;
-  return `https://api.telegram.org/file/bot${BOT_TOKEN}/${filePath}`;
+/**
+ * Turns a /notify body into a validated payload and checks it against the
+ * caller's api key (scopes and chat allowlist). Returns `{ value }` or
+ * `{ status, error, … }` ready to be sent as the error response. `options`
+ * are passed on to parseNotifyPayload.
+ */
+async function prepareNotification(body, files = [], apiKey = null, options = {}) {
+  const expanded = await expandTemplate(body);
+  if (expanded.error)
+    return expanded;
+
+  const { value, errors } = parseNotifyPayload(expanded.body, files, options);
+  if (errors)
+    return { status: 400, error: "invalid request body", fields: errors };
+
+  if (apiKey) {
+    if (value.payload.attachments.length > 0 && !apiKeys.hasScope(apiKey, "media"))
+      return { status: 403, error: "api key lacks the \"media\" scope" };
+    const forbidden = apiKeys.forbiddenChats(apiKey, value.chatIds);
+    if (forbidden.length > 0)
+      return { status: 403, error: "chat not allowed for this api key", chat_ids: forbidden };
+  }
+
+  const sizeErrors = await checkRemoteSizes(value.payload.attachments);
+  if (Object.keys(sizeErrors).length > 0)
+    return { status: 413, error: "attachment too large", fields: sizeErrors };
+
+  return { value };
 }
 
-// auth middleware
-function verifyApiKey(req, res, next) {
-  const clientKey = req.header("ERKUT-API-KEY");
-  if (!clientKey || clientKey !== ERKUT_API_KEY) {
-    return res.status(401).json({ error: "invalid api key" });
-  }
-  next();
+function sendPrepareError(res, { status, ...error }) {
+  res.status(status).json(error);
 }
 
-// notify endpoint
-app.post("/notify", verifyApiKey, async (req, res) => {
-  const { text } = req.body;
-  if (!text)
-    return res.status(400).json({ error: "text not found" });
+// what ?wait=true answers for a job: telegram's result or the error
+function jobOutcome(job) {
+  if (!job)
+    return { error: "timed out waiting for delivery, the job is still queued" };
+  if (job.status === "sent")
+    return { ok: true, data: job.result };
+  return { error: job.error };
+}
 
-  const result = await sendNotification(CHAT_ID, text);
-  res.json(result);
+// dry run: renders a /notify body without sending it
+app.post("/notify/preview", apiKeys.requireApiKey("notify"), async (req, res) => {
+  const prepared = await prepareNotification(req.body, [], req.apiKey);
+  if (prepared.error)
+    return sendPrepareError(res, prepared);
+
+  const { payload } = prepared.value;
+  res.json({
+    ok: true,
+    text: payload.text,
+    parse_mode: payload.options.parse_mode || "plain",
+    reply_markup: payload.options.reply_markup || null,
+  });
 });
 
-// telegram webhook
-app.post(`/${WEBHOOK_PATH}`, async (req, res) => {
-  const sig = req.header("X-Telegram-Bot-Api-Secret-Token");
-  if (sig !== SECRET_TOKEN)
-    return res.sendStatus(403);
-  res.sendStatus(200); // respond to telegram that we received the update
-
-  // then your webhook logic...
-  const update = req.body;
-  if (update.message?.text) {
-    const chatId = update.message.chat.id;
-    const text = update.message.text;
-    const from = update.message.from;
-
-    // Sync user data to PocketBase
-    if (from) {
-      await syncUser(chatId, from);
-    }
+// notify endpoint
+app.post("/notify", apiKeys.requireApiKey("notify"), parseUpload, async (req, res) => {
+  const prepared = await prepareNotification(req.body, req.files, req.apiKey);
+  if (prepared.error)
+    return sendPrepareError(res, prepared);
+
+  const { chatIds, multiple, sendAt } = prepared.value;
+  const wait = req.query.wait === "true";
+  if (wait && sendAt)
+    return res.status(400).json({ error: "invalid request body", fields: { send_at: "cannot be combined with ?wait=true" } });
+
+  // updates, duplicates and suppressed notifications point at the message that stands for them
+  const dispatched = [];
+  for (const chatId of chatIds) {
+    const { job, ...folded } = await dispatchNotification(chatId, prepared.value, { caller: req.caller });
+    dispatched.push({ chat_id: chatId, job_id: job?.id, ...folded, job });
+  }
 
-    // handle commands
-    if (text.startsWith("/")) {
-      const command = text.split(" ")[0];
-
-      if (command === "/start") {
-        await sendNotification(chatId, "Hello! I am ready to help you. Just send me a message. 🤖");
-        return;
-      }
-
-      if (command === "/help") {
-        const helpText = `
-<b>Available Commands:</b>
-/start - Start conversation
-/clear - Clear conversation history context
-/system - View/Set system prompt
-/system reset - Reset system prompt
-/help - Show this help message
-        `;
-        await sendNotification(chatId, helpText);
-        return;
-      }
-
-      if (command === "/clear") {
-        await redis.hDel("chat_threads", String(chatId));
-        await sendNotification(chatId, "Conversation context cleared. Starting fresh! 🧹");
-        return;
-      }
-
-
-      if (command.startsWith("/system")) {
-        const args = text.slice(7).trim(); // remove "/system"
-        const userId = String(chatId);
-
-        if (!args) {
-          // View current prompt
-          try {
-            const record = await pb.collection("telegram_users").getFirstListItem(`chat_id="${userId}"`);
-            const currentParams = record.system_prompt || DEFAULT_SYSTEM_PROMPT_SUFFIX + " (Default)";
-            await sendNotification(chatId, `Currently using:\n<b>${currentParams}</b>`);
-          } catch (e) {
-            await sendNotification(chatId, `Currently using: <b>${DEFAULT_SYSTEM_PROMPT_SUFFIX} (Default)</b>`);
-          }
-          return;
-        }
-
-        if (args === "reset") {
-          try {
-            // find and update or delete
-            const record = await pb.collection("telegram_users").getFirstListItem(`chat_id="${userId}"`);
-            await pb.collection("telegram_users").update(record.id, { system_prompt: DEFAULT_SYSTEM_PROMPT_SUFFIX });
-            await sendNotification(chatId, `✅ System prompt reset to default (${DEFAULT_SYSTEM_PROMPT_SUFFIX}).`);
-          } catch (e) {
-            // if not found, it's already default
-            await sendNotification(chatId, `✅ System prompt is already default.`);
-          }
-          return;
-        }
-
-        // Set custom prompt
-        try {
-          try {
-            const record = await pb.collection("telegram_users").getFirstListItem(`chat_id="${userId}"`);
-            await pb.collection("telegram_users").update(record.id, { system_prompt: args });
-          } catch {
-            await pb.collection("telegram_users").create({ chat_id: userId, system_prompt: args });
-          }
-          await sendNotification(chatId, `✅ Custom prompt set to:\n"<b>${args}</b>"`);
-        } catch (e) {
-          console.error(e);
-          await sendNotification(chatId, "❌ Failed to set custom prompt.");
-        }
-        return;
-      }
-
-      if (command === "/history") {
-        try {
-          const records = await pb.collection("messages").getList(1, 10, {
-            filter: `chat_id = "${chatId}"`,
-            sort: "-created",
-          });
-
-          if (records.items.length === 0) {
-            await sendNotification(chatId, "No history found.");
-            return;
-          }
-
-          let historyMsg = "<b>Last 10 messages:</b>\n\n";
-          // reverse to show chronological order
-          const reversed = records.items.reverse();
-
-          for (const msg of reversed) {
-            const roleIcon = msg.role === "user" ? "👤" : "🤖";
-            // truncate long messages
-            const content = msg.content.length > 50 ? msg.content.substring(0, 50) + "..." : msg.content;
-            historyMsg += `${roleIcon} <b>${msg.role}:</b> ${content}\n`;
-          }
-          await sendNotification(chatId, historyMsg);
-        }
-        catch (e) {
-          console.error("History error:", e);
-          await sendNotification(chatId, "Failed to fetch history.");
-        }
-        return;
-      }
+  if (!wait) {
+    const scheduled = sendAt ? { send_at: new Date(sendAt).toISOString() } : {};
+    const jobs = dispatched.map(({ job: _job, ...entry }) => entry);
+    if (!multiple) {
+      const { chat_id: _chatId, ...entry } = jobs[0];
+      return res.status(202).json({ ok: true, ...entry, ...scheduled });
     }
+    return res.status(202).json({ ok: true, jobs, ...scheduled });
+  }
 
-    // retrieve existing threadId for this chat if we have one
-    await handleChatMessage(chatId, text, [], from);
-  } else if (update.message?.photo) {
-    const chatId = update.message.chat.id;
-    const mediaGroupId = update.message.media_group_id;
-    const caption = update.message.caption || "";
-    const from = update.message.from;
-
-    // Get the highest resolution photo
-    const fileId = update.message.photo[update.message.photo.length - 1].file_id;
-    const imageUrl = await getTelegramFileUrl(fileId);
-
-    if (from) {
-      await syncUser(chatId, from);
+  // ?wait=true keeps the old behavior and answers with telegram's result
+  const results = [];
+  for (const { job, ...entry } of dispatched) {
+    if (!job) {
+      results.push({ ...entry, ok: true });
+      continue;
     }
+    results.push({ ...entry, ...jobOutcome(await notifyQueue.waitForJob(job.id)) });
+  }
 
-    if (mediaGroupId) {
-      if (!mediaGroupBuffers.has(mediaGroupId)) {
-        mediaGroupBuffers.set(mediaGroupId, {
-          images: [],
-          caption: "",
-          chatId,
-          timer: null,
-          from: from,
-        });
-      }
-      const buffer = mediaGroupBuffers.get(mediaGroupId);
-      buffer.images.push(imageUrl);
-      if (caption) buffer.caption = caption;
-
-      if (buffer.timer) clearTimeout(buffer.timer);
-      buffer.timer = setTimeout(async () => {
-        const finalBuffer = mediaGroupBuffers.get(mediaGroupId);
-        if (finalBuffer) {
-          mediaGroupBuffers.delete(mediaGroupId);
-          await handleChatMessage(finalBuffer.chatId, finalBuffer.caption || "What is in these images?", finalBuffer.images, finalBuffer.from);
-        }
-      }, 1500); // 1.5s wait for all photos in media group
-    } else {
-      await handleChatMessage(chatId, caption || "What is in this image?", [imageUrl], from);
-    }
-  } else if (update.message?.document && update.message.document.mime_type?.startsWith("image/")) {
-    const chatId = update.message.chat.id;
-    const caption = update.message.caption || "";
-    const from = update.message.from;
-    const fileId = update.message.document.file_id;
-    const imageUrl = await getTelegramFileUrl(fileId);
-
-    if (from) {
-      await syncUser(chatId, from);
-    }
-    await handleChatMessage(chatId, caption || "What is in this image?", [imageUrl], from);
+  if (!multiple) {
+    const { chat_id: _chatId, ...result } = results[0];
+    return res.json(result);
   }
+  res.json({ ok: results.every(r => r.ok), results });
 });
 
-async function syncUser(chatId, from) {
+// delivery status of one notification
+// keys without the admin scope only see their own notifications
+app.get("/notify/:id", apiKeys.requireApiKey(), async (req, res) => {
+  const isAdmin = apiKeys.hasScope(req.apiKey, "admin");
   try {
-    const userData = {
-      chat_id: String(chatId),
-      username: from.username || "",
-      first_name: from.first_name || "",
-      last_name: from.last_name || "",
-      language_code: from.language_code || "",
-    };
-
-    // Try to find existing user first
+    const notification = await notificationLog.get(req.params.id);
+    if (notification && (isAdmin || notification.caller === req.caller))
+      return res.json(notification);
+  }
+  catch (e) {
+    console.warn("Notification lookup error:", e.message);
+  }
+
+  // PB may be down or behind, the queue still knows recent jobs
+  const job = await notifyQueue.getJob(req.params.id);
+  if (!job || (!isAdmin && job.caller !== req.caller))
+    return res.status(404).json({ error: "notification not found" });
+  const { payload: _payload, result: _result, ...status } = job;
+  res.json(status);
+});
+
+/**
+ * Finds a notification for editing or deleting by its job id: the queue knows
+ * recent jobs, PB the older ones. Answers 404 for notifications of other
+ * callers (admin keys may edit all) and 409 for ones that were never sent.
+ */
+async function findEditableNotification(req, res) {
+  let target;
+  const job = await notifyQueue.getJob(req.params.id);
+  if (job && job.meta?.kind !== "edit") {
+    target = { job_id: job.id, bot: job.bot, chat_id: job.chat_id, caller: job.caller, status: job.status, external_id: job.meta?.external_id };
+  }
+  else {
     try {
-      const record = await pb.collection("telegram_users").getFirstListItem(`chat_id="${String(chatId)}"`);
-      // Update specific fields (preserve system_prompt if exists)
-      await pb.collection("telegram_users").update(record.id, userData);
-    } catch {
-      // Create if not exists
-      await pb.collection("telegram_users").create({
-        ...userData,
-        system_prompt: DEFAULT_SYSTEM_PROMPT_SUFFIX
-      });
+      const notification = await notificationLog.get(req.params.id);
+      if (notification)
+        target = { ...notification, job_id: notification.id };
     }
-  } catch (err) {
-    console.warn("⚠️ Failed to sync user data:", err.message);
+    catch (e) {
+      console.warn("Notification lookup error:", e.message);
+      res.status(502).json({ error: "failed to look up notification" });
+      return null;
+    }
+  }
+
+  if (!target || (!apiKeys.hasScope(req.apiKey, "admin") && target.caller !== req.caller)) {
+    res.status(404).json({ error: "notification not found" });
+    return null;
+  }
+  if (target.status === "failed") {
+    res.status(409).json({ error: "the notification was never sent" });
+    return null;
+  }
+  if (target.bot && !getBot(target.bot)) {
+    res.status(409).json({ error: `the bot "${target.bot}" that sent the notification is no longer configured` });
+    return null;
   }
+  return target;
 }
 
-async function handleChatMessage(chatId, text, images = [], from) {
-  const threadId = await redis.hGet("chat_threads", String(chatId));
+// runs a route as the bot named in ?bot=, the default one without it
+function forBot(handler) {
+  return (req, res) => {
+    if (req.query.bot !== undefined && !getBot(req.query.bot))
+      return res.status(400).json({ error: "invalid query", fields: { bot: "must be the name of a configured bot" } });
+    return withBot(req.query.bot, () => handler(req, res));
+  };
+}
 
-  // store user message to PB
-  let userMsgRecordId = null;
-  try {
-    const record = await pb.collection("messages").create({
-      chat_id: String(chatId),
-      role: "user",
-      content: text,
-      thread_id: threadId || "",
-    });
-    userMsgRecordId = record.id;
+// every chat a caller's external id was sent to by the current bot
+async function findExternalNotifications(req, res) {
+  const { name: bot } = currentBot();
+  const jobs = await notifyUpdates.lookup(req.caller, req.params.externalId);
+  const targets = Object.entries(jobs).map(([chatId, jobId]) => ({ bot, chat_id: chatId, job_id: jobId, external_id: req.params.externalId }));
+  if (targets.length === 0)
+    res.status(404).json({ error: "notification not found" });
+  return targets;
+}
+
+// PATCH bodies are { text, parse_mode, buttons } or { template, vars }
+async function parseUpdate(req, res) {
+  const expanded = await expandTemplate(req.body);
+  if (expanded.error) {
+    sendPrepareError(res, expanded);
+    return null;
   }
-  catch (e) {
+  const { value, errors } = parseUpdatePayload(expanded.body);
+  if (errors) {
+    res.status(400).json({ error: "invalid request body", fields: errors });
+    return null;
   }
+  return value;
+}
 
-  // add chatId to active chats if not already present
-  await redis.sAdd("active_chats", String(chatId));
-  const activeChatsCount = await redis.sCard("active_chats");
+// edits and deletes are queued like notifications, by the bot that sent them, the response waits for them like ?wait=true
+async function runQueued(targets, queue) {
+  const results = [];
+  for (const target of targets) {
+    const job = await withBot(target.bot, () => queue(target));
+    results.push({ chat_id: target.chat_id, job_id: target.job_id, ...jobOutcome(await notifyQueue.waitForJob(job.id)) });
+  }
+  return results;
+}
 
-  if (activeChatsCount >= 3) {
-    const queueMsg = `There are currently ${activeChatsCount} people using this app at the moment. Since there are more users, my response may be slightly delayed. Be patient, I will respond as soon as possible 🙂`;
-    await sendNotification(chatId, queueMsg);
+// a deleted message is no longer what its external id stands for
+async function forgetDeleted(targets, results, caller) {
+  for (const [i, target] of targets.entries()) {
+    if (target.external_id && results[i].ok)
+      await withBot(target.bot, () => notifyUpdates.forget(target.caller ?? caller, target.external_id, target.chat_id));
   }
+}
 
-  // function to handle the actual processing logic
-  const processRequest = async () => {
-    try {
-      const progressMessageRes = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-        chat_id: chatId,
-        text: "In process... 🧑🏻‍💻",
-      });
-      const progressMessageId = progressMessageRes.data.result.message_id;
-
-      // Fetch custom system prompt
-      let systemPromptPart = DEFAULT_SYSTEM_PROMPT_SUFFIX;
-      try {
-        const userSettings = await pb.collection("telegram_users").getFirstListItem(`chat_id="${String(chatId)}"`);
-        if (userSettings.system_prompt) {
-          systemPromptPart = userSettings.system_prompt;
-        }
-      } catch (e) { /* use default */ }
-
-      const finalSystemPrompt = `${SYSTEM_PROMPT} ${systemPromptPart}`;
-
-      const payload = {
-        systemPrompt: finalSystemPrompt,
-        prompt: text,
-        images: images.length > 0 ? images : undefined,
-        options: {
-          reason: false,
-          search: false,
-        },
-      };
-      console.log(`📡 Sending to GPT for chat ${chatId}: Prompt="${text}", Images=${images.length}`);
-
-      // if this chat has a previous thread, include it
-      if (threadId) {
-        payload.options.threadId = threadId;
-      }
-
-      let apiRes;
-      let retries = 0;
-      const maxRetries = 3;
-
-      while (retries <= maxRetries) {
-        apiRes = await axios.post(`${GPT_BASE_URL}/api/prompt`, payload, {
-          headers: { "ERKUT-API-KEY": ERKUT_API_KEY },
-        });
-
-        if (apiRes.data.response === "Analyzing image" && retries < maxRetries) {
-          retries++;
-          console.warn(`⏳ Image analysis in progress for chat ${chatId} (attempt ${retries}). Waiting 10s...`);
-          // use the threadId from the partial response for polling
-          if (apiRes.data.threadId) {
-            payload.options.threadId = apiRes.data.threadId;
-            delete payload.images; // No need to send images again for polling
-          }
-          await new Promise(resolve => setTimeout(resolve, 10000));
-          continue;
-        }
-        break;
-      }
-
-      // cache the latest threadId for this chat
-      await redis.hSet("chat_threads", String(chatId), apiRes.data.threadId);
-
-      const telegramMaxLength = 4096;
-      const fullResponse = apiRes.data.response;
-
-      if (!fullResponse || fullResponse.length === 0) {
-        await sendNotification(chatId, "No response received from the AI. Please contact @ercouldnt for support.");
-      }
-
-      console.warn(fullResponse.slice(0, 100));
-
-      for (let i = 0; i < fullResponse.length; i += telegramMaxLength) {
-        const chunk = fullResponse.slice(i, i + telegramMaxLength);
-        await sendNotification(chatId, chunk);
-      }
-
-      // delete the progress message
-      await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/deleteMessage`, {
-        chat_id: chatId,
-        message_id: progressMessageId,
-      });
-
-      // store AI response to PB
-      try {
-        const newThreadId = apiRes.data.threadId;
-
-        await pb.collection("messages").create({
-          chat_id: String(chatId),
-          role: "assistant",
-          content: fullResponse,
-          thread_id: threadId || newThreadId,
-        });
-
-        // if we didn't have a threadId before (it was the first message), update the user message
-        if (!threadId && userMsgRecordId) {
-          try {
-            await pb.collection("messages").update(userMsgRecordId, {
-              thread_id: newThreadId
-            });
-          } catch (updateErr) {
-            console.warn("Failed to backfill thread_id for user msg:", updateErr.message);
-          }
-        }
-      }
-      catch (e) {
-        console.warn("PB assistant msg save error:", e.message);
-      }
-    }
-    catch (error) {
-      console.warn("Webhook processRequest error:", error);
-    }
-  };
+// edit the text or buttons of a sent notification
+app.patch("/notify/:id", apiKeys.requireApiKey("notify"), async (req, res) => {
+  const value = await parseUpdate(req, res);
+  const target = value && await findEditableNotification(req, res);
+  if (!target)
+    return;
+  const [result] = await runQueued([target], t => notifyUpdates.queueUpdate(t, value, { caller: req.caller }));
+  const { chat_id: _chatId, ...response } = result;
+  res.json(response);
+});
 
-  // if threadId exists, queue the request for that thread
-  if (threadId) {
-    // max queue length is 3 for each thread
-    const queueLength = Number(await redis.hGet("thread_queue_lengths", threadId)) || 0;
-    if (queueLength >= 3) {
-      await sendNotification(chatId, "There are too many requests from you. Please wait for previous operations to complete before sending new messages 👹");
-      return;
-    }
+app.delete("/notify/:id", apiKeys.requireApiKey("notify"), async (req, res) => {
+  const target = await findEditableNotification(req, res);
+  if (!target)
+    return;
+  const results = await runQueued([target], t => notifyUpdates.queueDelete(t, { caller: req.caller }));
+  await forgetDeleted([target], results, req.caller);
+  const { chat_id: _chatId, ...response } = results[0];
+  res.json(response);
+});
 
-    const prev = threadQueues.get(threadId) || Promise.resolve();
-    await redis.hSet("thread_queue_lengths", threadId, queueLength + 1);
-
-    const next = prev.then(() => processRequest()).finally(async () => {
-      // when the job is done, remove it from the queue
-      const currentLength = Number(await redis.hGet("thread_queue_lengths", threadId)) || 1;
-      if (currentLength <= 1) {
-        await redis.hDel("thread_queue_lengths", threadId);
-      }
-      else {
-        await redis.hSet("thread_queue_lengths", threadId, currentLength - 1);
-      }
-      // Remove the queue if this was the last job
-      if (threadQueues.get(threadId) === next) {
-        threadQueues.delete(threadId);
-        await redis.sRem("active_chats", String(chatId));
-      }
-    });
-    threadQueues.set(threadId, next);
+// long poll for clicks on the notification's callback buttons, ?timeout= in seconds (max 60)
+app.get("/notify/:id/response", apiKeys.requireApiKey("notify"), async (req, res) => {
+  const timeout = Math.min(60, Math.max(0, Number(req.query.timeout ?? 25) || 0));
+  const target = await findEditableNotification(req, res);
+  if (!target)
+    return;
+  const responses = await notifyCallbacks.waitForResponses(target.job_id, timeout * 1000);
+  res.json({ job_id: target.job_id, responses });
+});
+
+// the same for every chat a notification with this external_id went to, from the bot in ?bot=
+app.patch("/notify/external/:externalId", apiKeys.requireApiKey("notify"), forBot(async (req, res) => {
+  const value = await parseUpdate(req, res);
+  const targets = value ? await findExternalNotifications(req, res) : [];
+  if (targets.length === 0)
+    return;
+  const results = await runQueued(targets, t => notifyUpdates.queueUpdate(t, value, { caller: req.caller }));
+  res.json({ ok: results.every(r => r.ok), results });
+}));
+
+app.delete("/notify/external/:externalId", apiKeys.requireApiKey("notify"), forBot(async (req, res) => {
+  const targets = await findExternalNotifications(req, res);
+  if (targets.length === 0)
+    return;
+  const results = await runQueued(targets, t => notifyUpdates.queueDelete(t, { caller: req.caller }));
+  await forgetDeleted(targets, results, req.caller);
+  res.json({ ok: results.every(r => r.ok), results });
+}));
+
+// notification log, filterable by status, chat_id, caller, since and until
+app.get("/notifications", apiKeys.requireApiKey(), async (req, res) => {
+  const { status, since, until } = req.query;
+  const fields = {};
+  if (status && !NOTIFICATION_STATUSES.includes(status))
+    fields.status = `must be one of ${NOTIFICATION_STATUSES.join(", ")}`;
+  if (since && Number.isNaN(Date.parse(since)))
+    fields.since = "must be an ISO date";
+  if (until && Number.isNaN(Date.parse(until)))
+    fields.until = "must be an ISO date";
+  if (Object.keys(fields).length > 0)
+    return res.status(400).json({ error: "invalid query", fields });
+
+  try {
+    const filters = { ...req.query };
+    if (!apiKeys.hasScope(req.apiKey, "admin"))
+      filters.caller = req.caller;
+    res.json(await notificationLog.list(filters));
   }
-  else {
-    // No threadId, just process immediately
-    processRequest();
+  catch (e) {
+    console.warn("Notification list error:", e.message);
+    res.status(502).json({ error: "failed to fetch notifications" });
   }
+});
+
+// recurring notifications, fired by the scheduler in every instance
+const schedules = createSchedules({
+  pb,
+  redis,
+  requireApiKey: apiKeys.requireApiKey,
+  hasScope: apiKeys.hasScope,
+  findApiKey: apiKeys.findById,
+  prepare: prepareNotification,
+  dispatch: dispatchNotification,
+});
+schedules.start();
+app.use("/schedules", schedules.router);
+app.use("/broadcasts", broadcasts.router);
+
+// api key and template management, needs the admin scope
+app.use("/admin/keys", apiKeys.router);
+app.use("/admin/templates", templates.router);
+
+// incoming webhooks from github, alertmanager, grafana, …
+app.use("/hooks", createHooksRouter({
+  requireApiKey: apiKeys.requireApiKey,
+  forbiddenChats: apiKeys.forbiddenChats,
+  dispatch: dispatchNotification,
+  forget: (chatId, value, { caller }) => withBot(value.bot, () => notifyUpdates.forget(caller, value.externalId, chatId)),
+}));
+
+// telegram webhook, one per bot
+for (const bot of listBots()) {
+  app.post(`/${bot.webhookPath}`, async (req, res) => {
+    const sig = req.header("X-Telegram-Bot-Api-Secret-Token");
+    if (sig !== bot.secretToken)
+      return res.sendStatus(403);
+    res.sendStatus(200); // respond to telegram that we received the update
+
+    await withBot(bot.name, () => chatBot.handleUpdate(req.body));
+  });
+}
+
+// long polling instead of the webhook, for hosts without a public https url
+if (UPDATE_MODE === "polling") {
+  for (const bot of listBots())
+    withBot(bot.name, () => createUpdatePoller({ redis: botRedis, handleUpdate: chatBot.handleUpdate }).start());
 }
 
+// liveness, readiness and prometheus metrics
+app.use(createHealthRouter({ redis, pb, authenticate: authenticatePocketBase }));
+
 app.get("/", (req, res) => {
   res.send("<html><body><h1>Server is up and running...</h1></body></html>");
 });
 
-const PORT = process.env.PORT || 3002;
 app.listen(PORT, () => {
   console.warn(`🚀 Notify + Webhook server is online!`);
   console.warn(`🌐 Listening on: http://localhost:${PORT}/`);
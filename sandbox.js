@@ -0,0 +1,8 @@
+import { SANDBOX_PORT } from "./src/config.js";
+import { createSandbox } from "./src/sandbox/index.js";
+
+// fake telegram and AI for local runs, see "Sandbox" in README.md
+createSandbox().app.listen(SANDBOX_PORT, () => {
+  console.warn(`🧪 Sandbox listening on http://localhost:${SANDBOX_PORT}`);
+  console.warn(`   run the app with TELEGRAM_API_URL=http://localhost:${SANDBOX_PORT} and OPENAI_BASE_URL=http://localhost:${SANDBOX_PORT}/v1`);
+});
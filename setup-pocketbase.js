@@ -1,80 +1,70 @@
 import process from "node:process";
 import dotenv from "dotenv";
 import PocketBase from "pocketbase";
+import { createClient } from "redis";
+import { migrate, migrationStatus } from "./src/migrations/index.js";
 
 dotenv.config();
 
 const POCKETBASE_URL = process.env.POCKETBASE_URL || "http://localhost:8090";
 const POCKETBASE_EMAIL = process.env.POCKETBASE_EMAIL;
 const POCKETBASE_PASSWORD = process.env.POCKETBASE_PASSWORD;
+const REDIS_URL = process.env.REDIS_URL;
 
-async function setupPocketBase() {
-    console.log("Connecting to PocketBase at:", POCKETBASE_URL);
+// node setup-pocketbase.js [status | --dry-run], see src/migrations
+const command = process.argv[2] || "migrate";
 
-    const pb = new PocketBase(POCKETBASE_URL);
+async function showStatus(pb) {
+  const steps = await migrationStatus(pb);
+  for (const step of steps)
+    console.warn(`${step.applied_at ? "✅" : "⏳"} ${step.description}${step.applied_at ? `, applied ${step.applied_at}` : ", pending"}`);
+  const pending = steps.filter(step => !step.applied_at).length;
+  console.warn(pending > 0 ? `ℹ️ ${pending} pending, run npm run setup-pocketbase to apply them.` : "✅ The schema is up to date.");
+}
 
-    try {
-        // Authenticate as admin
-        await pb.admins.authWithPassword(POCKETBASE_EMAIL, POCKETBASE_PASSWORD);
-        console.log("✅ Authenticated as admin");
+async function setupPocketBase() {
+  if (!["migrate", "status", "--dry-run"].includes(command)) {
+    console.error(`❌ Unknown command "${command}", use status or --dry-run, or nothing to migrate`);
+    process.exit(1);
+  }
+  console.warn("Connecting to PocketBase at:", POCKETBASE_URL);
 
-        // --- Collections Setup ---
+  const pb = new PocketBase(POCKETBASE_URL);
+  pb.autoCancellation(false);
+  let redis = null;
 
-        // 1. Messages Collection
-        try {
-            const result = await pb.collections.getList(1, 1, { filter: 'name="messages"' });
-            if (result.items.length > 0) {
-                console.log("ℹ️ 'messages' collection already exists. Skipping creation.");
-            } else {
-                console.log("Creating 'messages' collection...");
-                const collection = await pb.collections.create({
-                    name: "messages",
-                    type: "base",
-                    fields: [
-                        { name: "chat_id", type: "text", required: true },
-                        { name: "role", type: "select", required: true, maxSelect: 1, values: ["user", "assistant"] },
-                        { name: "content", type: "text", required: true },
-                        { name: "thread_id", type: "text", required: false },
-                        { name: "created", type: "autodate", onCreate: true },
-                        { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
-                    ],
-                });
-                console.log("✅ 'messages' collection created successfully.");
-                console.log("Created Fields:", JSON.stringify(collection.fields, null, 2));
-            }
-        } catch (err) {
-            console.error("❌ Failed to setup 'messages' collection:", err.originalError || err.message);
-        }
+  try {
+    // Authenticate as admin
+    await pb.admins.authWithPassword(POCKETBASE_EMAIL, POCKETBASE_PASSWORD);
+    console.warn("✅ Authenticated as admin");
 
-        // 2. Telegram Users Collection
-        try {
-            const result = await pb.collections.getList(1, 1, { filter: 'name="telegram_users"' });
-            if (result.items.length > 0) {
-                console.log("ℹ️ 'telegram_users' collection already exists. Skipping creation.");
-            } else {
-                console.log("Creating 'telegram_users' collection...");
-                await pb.collections.create({
-                    name: "telegram_users",
-                    type: "base",
-                    fields: [
-                        { name: "chat_id", type: "text", required: true },
-                        { name: "username", type: "text", required: false },
-                        { name: "first_name", type: "text", required: false },
-                        { name: "last_name", type: "text", required: false },
-                        { name: "language_code", type: "text", required: false },
-                        { name: "system_prompt", type: "text", required: false }
-                    ],
-                    // Unique constraint on chat_id would be nice, but handled by logic for now
-                });
-                console.log("✅ 'telegram_users' collection created successfully.");
-            }
-        } catch (err) {
-            console.error("❌ Failed to setup 'telegram_users' collection:", err.originalError || err.message);
-        }
+    if (command === "status") {
+      await showStatus(pb);
+      return;
+    }
 
-    } catch (error) {
-        console.error("❌ Error setting up PocketBase:", error.originalError || error.message);
+    const dryRun = command === "--dry-run";
+    if (!dryRun) {
+      // the lock that keeps concurrent runs apart lives in redis
+      redis = createClient({ url: REDIS_URL });
+      redis.on("error", err => console.error("Redis Client Error", err));
+      await redis.connect();
     }
+
+    const count = await migrate({ pb, redis, dryRun, log: message => console.warn(message) });
+    if (dryRun)
+      console.warn(count > 0 ? `ℹ️ Dry run: ${count} migrations pending, nothing was changed.` : "✅ The schema is up to date.");
+    else
+      console.warn(count > 0 ? `✅ Applied ${count} migrations.` : "✅ The schema is up to date.");
+  }
+  catch (error) {
+    // prestart stops here, the app does not run on a schema it does not know
+    console.error("❌ Error setting up PocketBase:", error.originalError || error.message);
+    process.exitCode = 1;
+  }
+  finally {
+    await redis?.quit();
+  }
 }
 
 setupPocketBase();
@@ -1,54 +1,68 @@
 import process from "node:process";
 import dotenv from "dotenv";
+import { listBots } from "./src/bots.js";
+import { BOT_TOKEN, TELEGRAM_API_URL, UPDATE_MODE } from "./src/config.js";
 
 dotenv.config();
 
-const BOT_TOKEN = process.env.BOT_TOKEN;
-const SECRET_TOKEN = process.env.SECRET_TOKEN;
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
-const WEBHOOK_PATH = process.env.WEBHOOK_PATH || "webhook";
 
-async function registerWebhook() {
-    if (!BOT_TOKEN) {
-        console.error("❌ BOT_TOKEN is not set");
-        process.exit(1);
-    }
+async function registerBot(bot) {
+  const fullWebhookUrl = `${WEBHOOK_URL}/${bot.webhookPath}`;
 
-    if (!WEBHOOK_URL) {
-        console.error("❌ WEBHOOK_URL is not set (e.g., https://yourdomain.com)");
-        process.exit(1);
-    }
+  console.warn(`🔗 Registering webhook of bot "${bot.name}": ${fullWebhookUrl}`);
 
-    const fullWebhookUrl = `${WEBHOOK_URL}/${WEBHOOK_PATH}`;
-
-    console.log(`🔗 Registering webhook: ${fullWebhookUrl}`);
-
-    try {
-        const response = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/setWebhook`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                url: fullWebhookUrl,
-                secret_token: SECRET_TOKEN,
-                allowed_updates: ["message"],
-            }),
-        });
-
-        const result = await response.json();
-
-        if (result.ok) {
-            console.log("✅ Webhook registered successfully!");
-            console.log(`   URL: ${fullWebhookUrl}`);
-        }
-        else {
-            console.error("❌ Failed to register webhook:", result.description);
-            process.exit(1);
-        }
-    }
-    catch (error) {
-        console.error("❌ Error registering webhook:", error.message);
-        process.exit(1);
+  try {
+    const response = await fetch(`${TELEGRAM_API_URL}/bot${bot.token}/setWebhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        url: fullWebhookUrl,
+        secret_token: bot.secretToken,
+        allowed_updates: ["message", "callback_query"],
+      }),
+    });
+
+    const result = await response.json();
+
+    if (result.ok) {
+      console.warn(`✅ Webhook of bot "${bot.name}" registered successfully!`);
+      console.warn(`   URL: ${fullWebhookUrl}`);
+      return true;
     }
+    console.error(`❌ Failed to register the webhook of bot "${bot.name}":`, result.description);
+  }
+  catch (error) {
+    console.error(`❌ Error registering the webhook of bot "${bot.name}":`, error.message);
+  }
+  return false;
+}
+
+async function registerWebhook() {
+  if (!BOT_TOKEN) {
+    console.error("❌ BOT_TOKEN is not set");
+    process.exit(1);
+  }
+
+  // the app deletes the webhook itself and polls getUpdates instead
+  if (UPDATE_MODE === "polling") {
+    console.warn("ℹ️ UPDATE_MODE is polling. Skipping webhook registration.");
+    return;
+  }
+
+  if (!WEBHOOK_URL) {
+    console.error("❌ WEBHOOK_URL is not set (e.g., https://yourdomain.com)");
+    process.exit(1);
+  }
+
+  // every bot from BOTS gets its own path, one failure does not stop the others
+  let failed = 0;
+  for (const bot of listBots()) {
+    if (!await registerBot(bot))
+      failed++;
+  }
+  if (failed > 0)
+    process.exit(1);
 }
 
 registerWebhook();
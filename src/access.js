@@ -0,0 +1,125 @@
+import { randomBytes } from "node:crypto";
+import { ACCESS_MODE, BOT_OWNER_IDS, USER_DAILY_IMAGES, USER_DAILY_MESSAGES } from "./config.js";
+
+// redis keys
+const USAGE_KEY_PREFIX = "usage:"; // hash per user and utc day: messages, images
+const INVITE_KEY_PREFIX = "invite_code:"; // string per unused invite code: user id of the owner who made it
+const USAGE_TTL_SECONDS = 2 * 24 * 60 * 60;
+const INVITE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// a limit on the user record wins, 0 there means the default and -1 no limit; a default of 0 means no limit
+function pickLimit(override, fallback) {
+  if (override > 0)
+    return override;
+  if (override < 0)
+    return Infinity;
+  return fallback > 0 ? fallback : Infinity;
+}
+
+/**
+ * Who may use the AI chat and how much. Owners (BOT_OWNER_IDS) are never
+ * limited, banned users are ignored, and with ACCESS_MODE=whitelist only
+ * users whose telegram_users status is "allowed" get answers; owners allow
+ * them with /allow or hand out one-time invite codes. Daily message and
+ * image quotas are counted per user and utc day in redis.
+ */
+export function createAccess({ pb, redis }) {
+  function isOwner(from) {
+    return Boolean(from) && BOT_OWNER_IDS.includes(String(from.id));
+  }
+
+  async function findUser(userId) {
+    try {
+      return await pb.collection("telegram_users").getFirstListItem(pb.filter("chat_id = {:chatId}", { chatId: String(userId) }));
+    }
+    catch (e) {
+      if (e.status === 404)
+        return null;
+      throw e;
+    }
+  }
+
+  function limitsOf(user) {
+    return {
+      messages: pickLimit(user?.daily_message_limit, USER_DAILY_MESSAGES),
+      images: pickLimit(user?.daily_image_limit, USER_DAILY_IMAGES),
+    };
+  }
+
+  /**
+   * Null when the sender may talk to the bot, otherwise the reply to send:
+   * an empty string for banned users, who are ignored.
+   */
+  function denial(from, user) {
+    if (isOwner(from))
+      return null;
+    if (user?.status === "banned")
+      return "";
+    if (ACCESS_MODE !== "whitelist" || user?.status === "allowed")
+      return null;
+    return `🔒 This bot is private. Open the invite link you were given, or ask its owner for access (your user id is <code>${from?.id}</code>).`;
+  }
+
+  function uncount(key, images) {
+    return redis.multi()
+      .hIncrBy(key, "messages", -1)
+      .hIncrBy(key, "images", -images)
+      .exec();
+  }
+
+  async function usage(userId) {
+    const counts = await redis.hGetAll(`${USAGE_KEY_PREFIX}${userId}:${today()}`);
+    return { messages: Number(counts.messages) || 0, images: Number(counts.images) || 0 };
+  }
+
+  /**
+   * Counts an AI request with its images against the sender's quota for
+   * today. Returns null when it fits, otherwise the reply to send; a refused
+   * request is not counted.
+   */
+  async function consume(from, images = 0) {
+    if (!from || isOwner(from))
+      return null;
+    const limits = limitsOf(await findUser(from.id));
+    const key = `${USAGE_KEY_PREFIX}${from.id}:${today()}`;
+    const [messages, imageCount] = await redis.multi()
+      .hIncrBy(key, "messages", 1)
+      .hIncrBy(key, "images", images)
+      .expire(key, USAGE_TTL_SECONDS)
+      .exec();
+    if (messages <= limits.messages && imageCount <= limits.images)
+      return null;
+
+    await uncount(key, images);
+    return messages > limits.messages
+      ? `⏳ You have used all ${limits.messages} messages for today. The quota resets at midnight UTC.`
+      : `⏳ You have used your ${limits.images} images for today. The quota resets at midnight UTC, text messages still work.`;
+  }
+
+  // gives back a request that consume counted but that was refused after all, e.g. by a full chat queue
+  async function refund(from, images = 0) {
+    if (!from || isOwner(from))
+      return;
+    await uncount(`${USAGE_KEY_PREFIX}${from.id}:${today()}`, images);
+  }
+
+  async function createInvite(from) {
+    const code = randomBytes(6).toString("base64url");
+    await redis.set(`${INVITE_KEY_PREFIX}${code}`, String(from.id), { EX: INVITE_TTL_SECONDS });
+    return code;
+  }
+
+  // an invite code works once, the user it lets in becomes "allowed"
+  async function redeem(code, user) {
+    if (!user || !await redis.getDel(`${INVITE_KEY_PREFIX}${code}`))
+      return false;
+    await pb.collection("telegram_users").update(user.id, { status: "allowed" });
+    return true;
+  }
+
+  return { isOwner, findUser, limitsOf, denial, usage, consume, refund, createInvite, redeem };
+}
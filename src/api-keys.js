@@ -0,0 +1,271 @@
+import { Buffer } from "node:buffer";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import express from "express";
+import { ERKUT_API_KEY } from "./config.js";
+import { isChatId } from "./notify-payload.js";
+
+const COLLECTION = "api_keys";
+export const SCOPES = ["notify", "media", "broadcast", "admin"];
+const KEY_PREFIX = "tbn_";
+const USAGE_KEY_PREFIX = "api_key_usage:"; // redis counters per key and window
+
+// the env key keeps working as an unrestricted root key
+const ROOT_KEY = { id: "root", name: "default", scopes: SCOPES, chat_ids: [], per_minute: 0, per_day: 0 };
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function generateKey() {
+  return `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+}
+
+function isRootKey(key) {
+  if (!ERKUT_API_KEY)
+    return false;
+  const a = Buffer.from(hashKey(key));
+  const b = Buffer.from(hashKey(ERKUT_API_KEY));
+  return timingSafeEqual(a, b);
+}
+
+// never hand out the hash
+function toResponse(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    key_prefix: record.key_prefix,
+    scopes: record.scopes || [],
+    chat_ids: record.chat_ids || [],
+    per_minute: record.per_minute || 0,
+    per_day: record.per_day || 0,
+    revoked: Boolean(record.revoked),
+    created: record.created,
+    updated: record.updated,
+  };
+}
+
+function isLimit(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+function parseKeyBody(body) {
+  const errors = {};
+  const { name, scopes = ["notify"], chat_ids: chatIds = [], per_minute: perMinute = 0, per_day: perDay = 0 } = body || {};
+
+  if (typeof name !== "string" || !name.trim())
+    errors.name = "is required";
+  else if (name.trim() === ROOT_KEY.name)
+    errors.name = `"${ROOT_KEY.name}" is the name of the ERKUT_API_KEY key`;
+  if (!Array.isArray(scopes) || !scopes.every(scope => SCOPES.includes(scope)))
+    errors.scopes = `must be an array of ${SCOPES.join(", ")}`;
+  if (!Array.isArray(chatIds) || !chatIds.every(isChatId))
+    errors.chat_ids = "must be an array of chat ids, empty allows every chat";
+  if (!isLimit(perMinute))
+    errors.per_minute = "must be a non-negative integer, 0 means unlimited";
+  if (!isLimit(perDay))
+    errors.per_day = "must be a non-negative integer, 0 means unlimited";
+
+  if (Object.keys(errors).length > 0)
+    return { errors };
+  return {
+    value: {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      chat_ids: chatIds.map(String),
+      per_minute: perMinute,
+      per_day: perDay,
+    },
+  };
+}
+
+/**
+ * API keys stored in PocketBase. Each key has scopes, an optional chat
+ * allowlist and per-minute/per-day quotas that are counted in redis.
+ */
+export function createApiKeys({ pb, redis }) {
+  const collection = () => pb.collection(COLLECTION);
+
+  async function findByKey(key) {
+    try {
+      return await collection().getFirstListItem(pb.filter("key_hash = {:hash}", { hash: hashKey(key) }));
+    }
+    catch (e) {
+      if (e.status === 404)
+        return null;
+      throw e;
+    }
+  }
+
+  // key record by id, the root key included, null when there is none
+  async function findById(id) {
+    if (id === ROOT_KEY.id)
+      return ROOT_KEY;
+    try {
+      return await collection().getOne(id);
+    }
+    catch (e) {
+      if (e.status === 404)
+        return null;
+      throw e;
+    }
+  }
+
+  // counts the request and returns the seconds to wait when a quota is used up
+  async function consumeQuota(apiKey) {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / 60000);
+    const day = now.toISOString().slice(0, 10);
+    const minuteKey = `${USAGE_KEY_PREFIX}${apiKey.id}:minute:${minute}`;
+    const dayKey = `${USAGE_KEY_PREFIX}${apiKey.id}:day:${day}`;
+
+    const [minuteCount, , dayCount] = await redis.multi()
+      .incr(minuteKey)
+      .expire(minuteKey, 120)
+      .incr(dayKey)
+      .expire(dayKey, 2 * 24 * 60 * 60)
+      .exec();
+
+    if (apiKey.per_minute && minuteCount > apiKey.per_minute)
+      return { limit: "per_minute", retryAfter: 60 - now.getUTCSeconds() };
+    if (apiKey.per_day && dayCount > apiKey.per_day) {
+      const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+      return { limit: "per_day", retryAfter: Math.ceil((midnight - now.getTime()) / 1000) };
+    }
+    return null;
+  }
+
+  /**
+   * Auth middleware for the `ERKUT-API-KEY` header, or `Authorization: Bearer`
+   * for tools that cannot set custom headers. Unknown keys get 401,
+   * revoked keys and keys without the scope 403, used up quotas 429.
+   * Sets `req.apiKey` and `req.caller` (the key id, what notifications,
+   * schedules and broadcasts record as their owner).
+   */
+  function requireApiKey(scope) {
+    return async (req, res, next) => {
+      const bearer = /^Bearer (.+)$/i.exec(req.header("Authorization") || "");
+      const clientKey = req.header("ERKUT-API-KEY") || bearer?.[1];
+      if (!clientKey)
+        return res.status(401).json({ error: "invalid api key" });
+
+      let apiKey = isRootKey(clientKey) ? ROOT_KEY : null;
+      if (!apiKey) {
+        try {
+          apiKey = await findByKey(clientKey);
+        }
+        catch (e) {
+          console.warn("API key lookup error:", e.message);
+          return res.status(503).json({ error: "api keys are unavailable" });
+        }
+      }
+
+      if (!apiKey)
+        return res.status(401).json({ error: "invalid api key" });
+      if (apiKey.revoked)
+        return res.status(403).json({ error: "api key revoked" });
+      if (scope && !(apiKey.scopes || []).includes(scope))
+        return res.status(403).json({ error: `api key lacks the "${scope}" scope` });
+
+      if (apiKey !== ROOT_KEY) {
+        const exceeded = await consumeQuota(apiKey);
+        if (exceeded) {
+          res.set("Retry-After", String(exceeded.retryAfter));
+          return res.status(429).json({ error: `api key ${exceeded.limit} quota exceeded` });
+        }
+      }
+
+      req.apiKey = apiKey;
+      req.caller = apiKey.id;
+      next();
+    };
+  }
+
+  // chats outside the key's allowlist, an empty allowlist allows every chat
+  function forbiddenChats(apiKey, chatIds) {
+    const allowed = apiKey.chat_ids || [];
+    if (allowed.length === 0)
+      return [];
+    return chatIds.filter(chatId => !allowed.includes(String(chatId)));
+  }
+
+  function hasScope(apiKey, scope) {
+    return (apiKey.scopes || []).includes(scope);
+  }
+
+  // admin endpoints, mounted under /admin/keys
+  const router = express.Router();
+  router.use(requireApiKey("admin"));
+
+  router.get("/", async (req, res) => {
+    try {
+      const records = await collection().getFullList({ sort: "name" });
+      res.json(records.map(toResponse));
+    }
+    catch (e) {
+      console.warn("API key list error:", e.message);
+      res.status(502).json({ error: "failed to fetch api keys" });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const { value, errors } = parseKeyBody(req.body);
+    if (errors)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+
+    try {
+      const existing = await collection().getList(1, 1, { filter: pb.filter("name = {:name}", { name: value.name }) });
+      if (existing.items.length > 0)
+        return res.status(409).json({ error: "an api key with this name already exists" });
+
+      const key = generateKey();
+      const record = await collection().create({
+        ...value,
+        key_hash: hashKey(key),
+        key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+        revoked: false,
+      });
+      // the only time the key itself is shown
+      res.status(201).json({ ...toResponse(record), key });
+    }
+    catch (e) {
+      console.warn("API key create error:", e.message);
+      res.status(502).json({ error: "failed to create api key" });
+    }
+  });
+
+  router.post("/:id/rotate", async (req, res) => {
+    try {
+      const record = await collection().getOne(req.params.id);
+      if (record.revoked)
+        return res.status(409).json({ error: "api key revoked" });
+
+      const key = generateKey();
+      const updated = await collection().update(record.id, {
+        key_hash: hashKey(key),
+        key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      });
+      res.json({ ...toResponse(updated), key });
+    }
+    catch (e) {
+      if (e.status === 404)
+        return res.status(404).json({ error: "api key not found" });
+      console.warn("API key rotate error:", e.message);
+      res.status(502).json({ error: "failed to rotate api key" });
+    }
+  });
+
+  router.post("/:id/revoke", async (req, res) => {
+    try {
+      const updated = await collection().update(req.params.id, { revoked: true });
+      res.json(toResponse(updated));
+    }
+    catch (e) {
+      if (e.status === 404)
+        return res.status(404).json({ error: "api key not found" });
+      console.warn("API key revoke error:", e.message);
+      res.status(502).json({ error: "failed to revoke api key" });
+    }
+  });
+
+  return { requireApiKey, forbiddenChats, hasScope, findById, router };
+}
@@ -0,0 +1,166 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { BOT_TOKEN, BOTS, CHAT_ID, SECRET_TOKEN, WEBHOOK_PATH } from "./config.js";
+
+export const DEFAULT_BOT = "default";
+
+// chat data every bot keeps apart, the other collections are shared
+const BOT_COLLECTIONS = ["telegram_users", "telegram_groups", "messages"];
+// redis commands whose first argument is a key (or an array of keys)
+const KEY_COMMANDS = new Set([
+  "get",
+  "set",
+  "del",
+  "exists",
+  "expire",
+  "pExpire",
+  "getDel",
+  "incr",
+  "hGet",
+  "hSet",
+  "hSetNX",
+  "hDel",
+  "hGetAll",
+  "hIncrBy",
+  "sAdd",
+  "sRem",
+  "sCard",
+  "zAdd",
+  "zRem",
+  "zCard",
+  "zRange",
+  "lPush",
+  "rPush",
+  "lRange",
+  "lLen",
+  "lTrim",
+  "lIndex",
+]);
+
+function parseBot(entry, i) {
+  const where = `BOTS[${i}]`;
+  if (!entry || typeof entry !== "object")
+    throw new Error(`${where} must be an object`);
+  const { name, token, webhook_path: webhookPath, secret_token: secretToken, chat_id: chatId, ai_chat: aiChat } = entry;
+  if (typeof name !== "string" || !/^[a-z][a-z0-9]{0,31}$/.test(name) || name === DEFAULT_BOT)
+    throw new Error(`${where}.name must be lowercase letters and digits and not "${DEFAULT_BOT}"`);
+  if (typeof token !== "string" || !token)
+    throw new Error(`${where}.token is required`);
+  return {
+    name,
+    token,
+    webhookPath: webhookPath || `webhook-${name}`,
+    secretToken: secretToken || SECRET_TOKEN,
+    chatId: chatId === undefined ? undefined : String(chatId),
+    aiChat: aiChat === true,
+    // redis keys and pocketbase collections of this bot start with it
+    namespace: name,
+  };
+}
+
+function loadBots() {
+  const bots = [{
+    name: DEFAULT_BOT,
+    token: BOT_TOKEN,
+    webhookPath: WEBHOOK_PATH,
+    secretToken: SECRET_TOKEN,
+    chatId: CHAT_ID,
+    aiChat: true,
+    // the first bot keeps the names it always had
+    namespace: "",
+  }];
+  if (BOTS) {
+    const entries = JSON.parse(BOTS);
+    if (!Array.isArray(entries))
+      throw new Error("BOTS must be a json array");
+    bots.push(...entries.map(parseBot));
+  }
+  const paths = bots.map(bot => bot.webhookPath);
+  if (new Set(bots.map(bot => bot.name)).size < bots.length || new Set(paths).size < paths.length)
+    throw new Error("every bot needs its own name and webhook_path");
+  return new Map(bots.map(bot => [bot.name, bot]));
+}
+
+const bots = loadBots();
+const context = new AsyncLocalStorage();
+
+export function listBots() {
+  return [...bots.values()];
+}
+
+export function getBot(name) {
+  return bots.get(name) ?? null;
+}
+
+// the bot whose update, request or job is being handled, the default one elsewhere
+export function currentBot() {
+  return context.getStore() ?? bots.get(DEFAULT_BOT);
+}
+
+/**
+ * Runs `fn` for the named bot (the default one when no name is given):
+ * telegram calls use its token, and redis and PocketBase clients from
+ * `namespacedRedis` / `namespacedPocketBase` its namespace, also in
+ * everything `fn` starts asynchronously.
+ */
+export function withBot(name, fn) {
+  const bot = name ? bots.get(name) : bots.get(DEFAULT_BOT);
+  if (!bot)
+    throw new Error(`unknown bot "${name}"`);
+  return context.run(bot, fn);
+}
+
+function redisPrefix() {
+  const { namespace } = currentBot();
+  return namespace ? `bot:${namespace}:` : "";
+}
+
+// the collection of the current bot, shared collections keep their name
+export function botCollection(name) {
+  const { namespace } = currentBot();
+  return namespace && BOT_COLLECTIONS.includes(name) ? `${namespace}_${name}` : name;
+}
+
+/**
+ * A redis client whose keys are prefixed with the current bot's namespace,
+ * for state that belongs to one bot (conversations, quotas, polling). Covers
+ * the KEY_COMMANDS, `eval` keys and `multi` chains; queues shared by every
+ * bot use the plain client and keep the bot on their jobs.
+ */
+export function namespacedRedis(redis) {
+  const wrap = target => new Proxy(target, {
+    get(object, prop) {
+      const value = Reflect.get(object, prop);
+      if (typeof value !== "function")
+        return value;
+      if (prop === "multi")
+        return (...args) => wrap(value.apply(object, args));
+      if (prop === "eval") {
+        return (script, options = {}) => value.call(object, script, {
+          ...options,
+          keys: (options.keys || []).map(key => `${redisPrefix()}${key}`),
+        });
+      }
+      if (!KEY_COMMANDS.has(prop))
+        return value.bind(object);
+      return (key, ...args) => {
+        const prefixed = Array.isArray(key) ? key.map(k => `${redisPrefix()}${k}`) : `${redisPrefix()}${key}`;
+        const result = value.call(object, prefixed, ...args);
+        // multi commands return the chain for the next one
+        return result === object ? wrap(object) : result;
+      };
+    },
+  });
+  return wrap(redis);
+}
+
+// a PocketBase client that maps the bot's chat collections to the current bot's copies
+export function namespacedPocketBase(pb) {
+  return new Proxy(pb, {
+    get(object, prop) {
+      if (prop === "collection")
+        return name => object.collection(botCollection(name));
+      const value = Reflect.get(object, prop);
+      return typeof value === "function" ? value.bind(object) : value;
+    },
+  });
+}
@@ -0,0 +1,330 @@
+import { randomUUID } from "node:crypto";
+import express from "express";
+import { currentBot, getBot, withBot } from "./bots.js";
+import { ACCESS_MODE } from "./config.js";
+import { claimDue, runWorker } from "./redis-scripts.js";
+
+// redis keys
+const BROADCAST_KEY_PREFIX = "broadcast:"; // hash per broadcast: its settings and progress counters
+const QUEUE_KEY = "broadcast_queue"; // zset: broadcast id ➜ time (ms) its fan out continues
+const LIST_KEY = "broadcasts"; // zset: broadcast id ➜ creation time (ms), the newest are kept
+const BROADCAST_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_LISTED = 100;
+
+// at most this many messages of a broadcast wait in the notify queue, so /notify still gets through
+const WINDOW = 60;
+const LEASE_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+// what telegram answers once a user blocked the bot or deleted their account
+const BLOCKED_ERROR = /^Forbidden/i;
+// every recipient gets the same message, per-chat /notify options make no sense here
+const NOT_ALLOWED = ["chat_id", "send_at", "dedup_key", "dedup_window", "external_id", "reply_to_message_id", "callback_url", "callback_edit"];
+
+function toResponse(broadcast) {
+  return {
+    id: broadcast.id,
+    bot: broadcast.bot,
+    status: broadcast.status,
+    caller: broadcast.caller,
+    filter: broadcast.filter,
+    total: broadcast.total,
+    queued: broadcast.queued,
+    sent: broadcast.sent,
+    failed: broadcast.failed,
+    blocked: broadcast.blocked,
+    last_error: broadcast.last_error || null,
+    created_at: broadcast.created_at,
+    finished_at: broadcast.finished_at || null,
+  };
+}
+
+/**
+ * Validates the recipient filter of a broadcast. `active_within` (seconds) is
+ * turned into the `active_since` time it stands for when the broadcast starts.
+ */
+function parseFilter(body, errors) {
+  const filter = {};
+  const { language_code: languages, active_within: activeWithin } = body;
+
+  if (languages !== undefined) {
+    const codes = Array.isArray(languages) ? languages : [languages];
+    if (codes.length === 0 || !codes.every(code => typeof code === "string" && /^[a-z]{2,3}(?:-[a-z]+)?$/i.test(code)))
+      errors.language_code = "must be a language code such as \"en\" or an array of them";
+    else
+      filter.language_code = codes;
+  }
+  if (activeWithin !== undefined) {
+    if (!Number.isInteger(activeWithin) || activeWithin <= 0)
+      errors.active_within = "must be a positive number of seconds";
+    else
+      filter.active_since = new Date(Date.now() - activeWithin * 1000).toISOString();
+  }
+  return filter;
+}
+
+/**
+ * Messages to every known bot user, or the ones matching a filter. A
+ * broadcast's state lives in redis; its fan out is claimed with a lease like
+ * the scheduler's runs, so any instance continues it after a restart. Users
+ * are paged from `telegram_users` into the notify queue, which keeps
+ * telegram's rate limits, with at most WINDOW messages waiting at a time.
+ *
+ * The queue reports every delivery to `onJobChange(job)`, which counts them
+ * and marks users who blocked the bot as inactive so later broadcasts skip
+ * them. Cancelling stops the fan out, messages already queued still go out.
+ * A broadcast goes to the users of the bot that was current when it started.
+ */
+export function createBroadcasts({ pb, redis, requireApiKey, hasScope, prepare, enqueue }) {
+  const users = () => pb.collection("telegram_users");
+  let worker = null;
+
+  function recipientFilter(filter, after = "") {
+    const parts = ["status != \"banned\"", "inactive != true"];
+    const params = {};
+    if (ACCESS_MODE === "whitelist")
+      parts.push("status = \"allowed\"");
+    if (filter.language_code) {
+      parts.push(`(${filter.language_code.map((_, i) => `language_code = {:language${i}}`).join(" || ")})`);
+      filter.language_code.forEach((code, i) => params[`language${i}`] = code);
+    }
+    if (filter.active_since) {
+      parts.push("last_active >= {:since}");
+      params.since = new Date(filter.active_since);
+    }
+    // users are paged by record id, so users joining meanwhile are not skipped or messaged twice
+    if (after) {
+      parts.push("id > {:after}");
+      params.after = after;
+    }
+    return pb.filter(parts.join(" && "), params);
+  }
+
+  async function load(id) {
+    const fields = await redis.hGetAll(`${BROADCAST_KEY_PREFIX}${id}`);
+    if (!fields.id)
+      return null;
+    return {
+      ...fields,
+      filter: JSON.parse(fields.filter),
+      payload: JSON.parse(fields.payload),
+      ...Object.fromEntries(["total", "queued", "sent", "failed", "blocked"].map(field => [field, Number(fields[field]) || 0])),
+      fanned_out: fields.fanned_out === "1",
+    };
+  }
+
+  /**
+   * Starts a broadcast of a queued notification payload (`{ text,
+   * attachments, options }`) to the users matching `filter`.
+   */
+  async function create({ payload, filter = {}, caller = "" }) {
+    const id = randomUUID();
+    const key = `${BROADCAST_KEY_PREFIX}${id}`;
+    const now = Date.now();
+    const { totalItems: total } = await users().getList(1, 1, { filter: recipientFilter(filter) });
+    await redis.multi()
+      .hSet(key, {
+        id,
+        bot: currentBot().name,
+        caller,
+        status: total > 0 ? "running" : "done",
+        filter: JSON.stringify(filter),
+        payload: JSON.stringify(payload),
+        total,
+        queued: 0,
+        sent: 0,
+        failed: 0,
+        blocked: 0,
+        cursor: "",
+        created_at: new Date(now).toISOString(),
+        finished_at: total > 0 ? "" : new Date(now).toISOString(),
+      })
+      .expire(key, BROADCAST_TTL_SECONDS)
+      .zAdd(LIST_KEY, { score: now, value: id })
+      .zRemRangeByRank(LIST_KEY, 0, -(MAX_LISTED + 1))
+      .exec();
+    if (total > 0)
+      await redis.zAdd(QUEUE_KEY, { score: now, value: id });
+    return load(id);
+  }
+
+  async function finish(id, status) {
+    await redis.zRem(QUEUE_KEY, id);
+    await redis.hSet(`${BROADCAST_KEY_PREFIX}${id}`, { status, finished_at: new Date().toISOString() });
+  }
+
+  async function finishIfDone(id) {
+    const broadcast = await load(id);
+    if (broadcast?.status === "running" && broadcast.fanned_out && broadcast.sent + broadcast.failed >= broadcast.queued)
+      await finish(id, "done");
+  }
+
+  async function cancel(id) {
+    const broadcast = await load(id);
+    if (broadcast?.status !== "running")
+      return broadcast;
+    await finish(id, "cancelled");
+    return load(id);
+  }
+
+  // queues up to `room` recipients as the broadcast's bot, returns how many there were
+  async function queuePage(broadcast, room) {
+    const key = `${BROADCAST_KEY_PREFIX}${broadcast.id}`;
+    const page = await users().getList(1, room, {
+      filter: recipientFilter(broadcast.filter, broadcast.cursor),
+      sort: "id",
+      fields: "id,chat_id",
+      skipTotal: true,
+    });
+    for (const user of page.items) {
+      await enqueue(user.chat_id, broadcast.payload, { caller: broadcast.caller, meta: { kind: "broadcast", broadcast_id: broadcast.id } });
+      await redis.multi()
+        .hSet(key, "cursor", user.id)
+        .hIncrBy(key, "queued", 1)
+        .exec();
+    }
+    return page.items.length;
+  }
+
+  // queues the next page of recipients, as many as fit in the window
+  async function advance(id) {
+    const broadcast = await load(id);
+    if (broadcast?.status !== "running")
+      return redis.zRem(QUEUE_KEY, id);
+    if (broadcast.bot && !getBot(broadcast.bot)) {
+      console.warn(`⚠️ Broadcast ${id} cancelled, the bot "${broadcast.bot}" is no longer configured`);
+      return finish(id, "cancelled");
+    }
+
+    const key = `${BROADCAST_KEY_PREFIX}${id}`;
+    const room = WINDOW - (broadcast.queued - broadcast.sent - broadcast.failed);
+    if (room <= 0)
+      return redis.zAdd(QUEUE_KEY, { score: Date.now() + POLL_INTERVAL_MS, value: id });
+
+    const count = await withBot(broadcast.bot, () => queuePage(broadcast, room));
+    if (count < room) {
+      await redis.hSet(key, "fanned_out", "1");
+      await redis.zRem(QUEUE_KEY, id);
+      return finishIfDone(id);
+    }
+    await redis.zAdd(QUEUE_KEY, { score: Date.now(), value: id });
+  }
+
+  // called by the notify queue whenever a job changes, never throws so sending goes on
+  async function onJobChange(job) {
+    const id = job.meta?.broadcast_id;
+    if (job.meta?.kind !== "broadcast" || !id || (job.status !== "sent" && job.status !== "failed"))
+      return;
+    try {
+      const key = `${BROADCAST_KEY_PREFIX}${id}`;
+      const blocked = job.status === "failed" && BLOCKED_ERROR.test(job.error || "");
+      // failed messages stay out of the notify dead letters, the broadcast keeps their count and the last error
+      const counts = redis.multi().hIncrBy(key, job.status, 1);
+      if (job.status === "failed")
+        counts.hSet(key, "last_error", job.error || "");
+      if (blocked)
+        counts.hIncrBy(key, "blocked", 1);
+      await counts.exec();
+
+      if (blocked) {
+        const user = await users().getFirstListItem(pb.filter("chat_id = {:chatId}", { chatId: String(job.chat_id) }));
+        await users().update(user.id, { inactive: true });
+      }
+      await finishIfDone(id);
+    }
+    catch (e) {
+      console.warn(`⚠️ Failed to record broadcast ${id} progress:`, e.message);
+    }
+  }
+
+  // advances one due broadcast, false when none is due
+  async function fanOut() {
+    const claimed = await claimDue(redis, QUEUE_KEY, LEASE_MS);
+    if (!claimed)
+      return false;
+    await advance(claimed.id);
+    return true;
+  }
+
+  function start() {
+    if (worker)
+      return;
+    worker = runWorker({ tick: fanOut, idleMs: POLL_INTERVAL_MS, onError: e => console.warn("Broadcast error:", e.message) });
+  }
+
+  async function stop() {
+    await worker?.stop();
+    worker = null;
+  }
+
+  // broadcasts belong to the key that started them, admin keys see all of them
+  async function findOwned(req, res) {
+    const broadcast = await load(req.params.id);
+    if (broadcast && (hasScope(req.apiKey, "admin") || broadcast.caller === req.caller))
+      return broadcast;
+    res.status(404).json({ error: "broadcast not found" });
+    return null;
+  }
+
+  const router = express.Router();
+  router.use(requireApiKey("broadcast"));
+
+  router.get("/", async (req, res) => {
+    try {
+      const ids = await redis.zRange(LIST_KEY, 0, -1, { REV: true });
+      const broadcasts = (await Promise.all(ids.map(load)))
+        .filter(broadcast => broadcast && (hasScope(req.apiKey, "admin") || broadcast.caller === req.caller));
+      res.json(broadcasts.map(toResponse));
+    }
+    catch (e) {
+      console.warn("Broadcast list error:", e.message);
+      res.status(502).json({ error: "failed to fetch broadcasts" });
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    const broadcast = await findOwned(req, res);
+    if (broadcast)
+      res.json(toResponse(broadcast));
+  });
+
+  router.post("/", async (req, res) => {
+    const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+    const errors = {};
+    for (const field of NOT_ALLOWED.filter(name => body[name] !== undefined))
+      errors[field] = "is not allowed in a broadcast";
+    const { language_code: _language, active_within: _within, ...notification } = body;
+    const filter = parseFilter(body, errors);
+    if (Object.keys(errors).length > 0)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+    // a key limited to some chats cannot reach every user
+    if (req.apiKey.chat_ids?.length > 0)
+      return res.status(403).json({ error: "api keys with a chat allowlist cannot broadcast" });
+
+    // the recipients come from the filter, so a bot without CHAT_ID can broadcast too
+    const prepared = await prepare(notification, [], req.apiKey, { recipients: false });
+    if (prepared.error) {
+      const { status, ...error } = prepared;
+      return res.status(status).json(error);
+    }
+    const { bot, payload } = prepared.value;
+    if (payload.options.reply_markup?.inline_keyboard?.some(row => row.some(button => button.callback_data !== undefined)))
+      return res.status(400).json({ error: "invalid request body", fields: { buttons: "with callback_data can only be sent with /notify" } });
+
+    try {
+      const broadcast = await withBot(bot, () => create({ payload, filter, caller: req.caller }));
+      res.status(202).json(toResponse(broadcast));
+    }
+    catch (e) {
+      console.warn("Broadcast create error:", e.message);
+      res.status(502).json({ error: "failed to start broadcast" });
+    }
+  });
+
+  router.post("/:id/cancel", async (req, res) => {
+    const broadcast = await findOwned(req, res);
+    if (broadcast)
+      res.json(toResponse(await cancel(broadcast.id)));
+  });
+
+  return { router, start, stop, create, onJobChange };
+}
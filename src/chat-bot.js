@@ -0,0 +1,600 @@
+import { randomUUID } from "node:crypto";
+import { createAccess } from "./access.js";
+import { currentBot } from "./bots.js";
+import { canExtract, canTranscribe, extractDocument, transcribe, unsupportedReply, withDocuments } from "./chat-files.js";
+import { createChatQueue } from "./chat-queue.js";
+import { LLM_HISTORY_MESSAGES, SYSTEM_PROMPT } from "./config.js";
+import { CONVERSATION_HELP, createConversations } from "./conversations.js";
+import { sanitizeHtml, splitHtml } from "./formatter.js";
+import { addressedMessage, botUser, isGroupAdmin, isGroupChat } from "./groups.js";
+import { getProvider, providerNames } from "./llm/index.js";
+import { llmRequests } from "./metrics.js";
+import { createOwnerCommands, OWNER_HELP } from "./owner-commands.js";
+import { createReplyStream } from "./reply-stream.js";
+import { callTelegram, getTelegramFileUrl, sendNotification } from "./telegram.js";
+
+const DEFAULT_SYSTEM_PROMPT_SUFFIX = "Give flirty answers only.";
+const ONLY_ADMINS = "Only group admins can change this group's settings. 🔒";
+
+// groups keep their settings (system prompt, provider) apart from their members
+function settingsCollection(chatId) {
+  return String(chatId).startsWith("-") ? "telegram_groups" : "telegram_users";
+}
+
+/**
+ * What the bot does with the updates telegram sends it, through the webhook
+ * or long polling: clicks on notification buttons go to `notifyCallbacks`,
+ * messages (in groups only the ones addressed to the bot) pass the access
+ * checks and are answered as commands or queued for the AI on the chat queue.
+ * Conversations and quotas are kept per bot in `botRedis`, the chat queue in
+ * `redis` is shared by every bot. `handleUpdate(update)` runs as the bot the
+ * update came to; the caller starts `chatQueue`.
+ */
+export function createChatBot({ pb, redis, botRedis, notifyCallbacks, broadcasts }) {
+  const access = createAccess({ pb, redis: botRedis });
+  // named conversations per chat, their export and /forget
+  const conversations = createConversations({ pb, redis: botRedis });
+  // ai answers are queued per conversation in redis and collected albums are answered as one message
+  const chatQueue = createChatQueue({
+    redis,
+    process: answerChatJob,
+    onDrop: job => sendNotification(job.chat_id, "❌ Sorry, I could not answer your message. Please send it again."),
+    onMediaGroup: album => handleChatMessage(album.chatId, album.caption || "What is in these images?", album.images, album.from, { replyTo: album.replyTo }),
+  });
+  const ownerCommands = createOwnerCommands({ pb, access, broadcasts, chatQueue });
+
+  // handles one telegram update, the same for the webhook and long polling
+  async function handleUpdate(update) {
+    if (update.callback_query) {
+      if (!await notifyCallbacks.handle(update.callback_query))
+        await callTelegram("answerCallbackQuery", { callback_query_id: update.callback_query.id }).catch(() => {});
+      return;
+    }
+
+    // in groups only messages for the bot, plus the rest of an album someone asked it about
+    const message = await addressedMessage(update.message)
+      ?? (await chatQueue.hasMediaGroup(update.message?.media_group_id) ? update.message : null);
+    if (!message)
+      return;
+    const group = isGroupChat(message.chat);
+    if (group)
+      await syncGroup(message.chat);
+    // answers in a busy group quote the question
+    const replyTo = group ? message.message_id : undefined;
+
+    // Sync user data to PocketBase
+    const user = message.from ? await syncUser(message.from) : null;
+    const denied = access.denial(message.from, user);
+    if (denied !== null) {
+      // invite links open the chat with "/start <code>"
+      const code = message.text?.match(/^\/start\s+(\S+)$/)?.[1];
+      if (code && await access.redeem(code, user)) {
+        await sendNotification(message.chat.id, "🎉 Welcome! Your invite is accepted, just send me a message. 🤖");
+        return;
+      }
+      if (denied)
+        await sendNotification(message.chat.id, denied);
+      return;
+    }
+
+    // bots without AI chat only send notifications, users who start them can still get broadcasts
+    if (!currentBot().aiChat) {
+      if (message.text && !await ownerCommands.handle(message) && message.text.startsWith("/start"))
+        await sendNotification(message.chat.id, "Hello! I will send you notifications here. 🔔");
+      return;
+    }
+
+    if (message.text) {
+      const chatId = message.chat.id;
+      const text = message.text;
+      const from = message.from;
+
+      // handle commands
+      if (text.startsWith("/")) {
+        const command = text.split(" ")[0];
+
+        if (await ownerCommands.handle(message) || await conversations.handle(message))
+          return;
+
+        if (command === "/start") {
+          await sendNotification(chatId, "Hello! I am ready to help you. Just send me a message. 🤖");
+          return;
+        }
+
+        if (command === "/help") {
+          const { username: botName } = await botUser();
+          const helpText = `
+<b>Available Commands:</b>
+/start - Start conversation
+/clear - Clear conversation history context${CONVERSATION_HELP}
+/system - View/Set system prompt
+/system reset - Reset system prompt
+/provider - View/Switch the AI provider
+/help - Show this help message
+
+In groups, mention me, reply to my messages or use commands like /help@${botName}. Only admins can change the group's settings.
+        `;
+          await sendNotification(chatId, access.isOwner(from) ? `${helpText}${OWNER_HELP}` : helpText);
+          return;
+        }
+
+        if (command === "/clear") {
+          if (group && !await isGroupAdmin(message)) {
+            await sendNotification(chatId, ONLY_ADMINS);
+            return;
+          }
+          await conversations.clear(chatId);
+          await sendNotification(chatId, "Conversation context cleared. Starting fresh! 🧹");
+          return;
+        }
+
+        if (command.startsWith("/system")) {
+          const args = text.slice(7).trim(); // remove "/system"
+          const userId = String(chatId);
+          const settings = pb.collection(settingsCollection(chatId));
+
+          if (args && group && !await isGroupAdmin(message)) {
+            await sendNotification(chatId, ONLY_ADMINS);
+            return;
+          }
+
+          if (!args) {
+            // View current prompt
+            try {
+              const record = await settings.getFirstListItem(`chat_id="${userId}"`);
+              const currentParams = record.system_prompt || `${DEFAULT_SYSTEM_PROMPT_SUFFIX} (Default)`;
+              await sendNotification(chatId, `Currently using:\n<b>${currentParams}</b>`);
+            }
+            catch {
+              await sendNotification(chatId, `Currently using: <b>${DEFAULT_SYSTEM_PROMPT_SUFFIX} (Default)</b>`);
+            }
+            return;
+          }
+
+          if (args === "reset") {
+            try {
+              // find and update or delete
+              const record = await settings.getFirstListItem(`chat_id="${userId}"`);
+              await settings.update(record.id, { system_prompt: DEFAULT_SYSTEM_PROMPT_SUFFIX });
+              await sendNotification(chatId, `✅ System prompt reset to default (${DEFAULT_SYSTEM_PROMPT_SUFFIX}).`);
+            }
+            catch {
+              // if not found, it's already default
+              await sendNotification(chatId, `✅ System prompt is already default.`);
+            }
+            return;
+          }
+
+          // Set custom prompt
+          try {
+            try {
+              const record = await settings.getFirstListItem(`chat_id="${userId}"`);
+              await settings.update(record.id, { system_prompt: args });
+            }
+            catch {
+              await settings.create({ chat_id: userId, system_prompt: args });
+            }
+            await sendNotification(chatId, `✅ Custom prompt set to:\n"<b>${args}</b>"`);
+          }
+          catch (e) {
+            console.error(e);
+            await sendNotification(chatId, "❌ Failed to set custom prompt.");
+          }
+          return;
+        }
+
+        if (command === "/provider") {
+          const name = text.slice(command.length).trim();
+          const names = providerNames();
+          const settings = pb.collection(settingsCollection(chatId));
+          let record = null;
+          try {
+            record = await settings.getFirstListItem(pb.filter("chat_id = {:chatId}", { chatId: String(chatId) }));
+          }
+          catch { /* not synced yet */ }
+
+          if (!name) {
+            const current = getProvider(record?.llm_provider)?.name || "none";
+            await sendNotification(chatId, `Currently using: <b>${current}</b>\nAvailable: ${names.join(", ") || "none"}\n\n/provider &lt;name&gt; switches, /provider reset goes back to the default.`);
+            return;
+          }
+          if (group && !await isGroupAdmin(message)) {
+            await sendNotification(chatId, ONLY_ADMINS);
+            return;
+          }
+          if (name !== "reset" && !names.includes(name)) {
+            await sendNotification(chatId, `❌ Unknown provider. Available: ${names.join(", ") || "none"}`);
+            return;
+          }
+
+          try {
+            const llmProvider = name === "reset" ? "" : name;
+            if (record)
+              await settings.update(record.id, { llm_provider: llmProvider });
+            else
+              await settings.create({ chat_id: String(chatId), llm_provider: llmProvider });
+            // a conversation belongs to the provider it was started with
+            await conversations.clear(chatId);
+            await sendNotification(chatId, `✅ Now using <b>${getProvider(llmProvider)?.name || "none"}</b>. Starting a fresh conversation.`);
+          }
+          catch (e) {
+            console.error(e);
+            await sendNotification(chatId, "❌ Failed to switch the provider.");
+          }
+          return;
+        }
+
+        if (command === "/history") {
+          try {
+            const records = await pb.collection("messages").getList(1, 10, {
+              filter: `chat_id = "${chatId}"`,
+              sort: "-created",
+            });
+
+            if (records.items.length === 0) {
+              await sendNotification(chatId, "No history found.");
+              return;
+            }
+
+            let historyMsg = "<b>Last 10 messages:</b>\n\n";
+            // reverse to show chronological order
+            const reversed = records.items.reverse();
+
+            for (const msg of reversed) {
+              const roleIcon = msg.role === "user" ? "👤" : "🤖";
+              // truncate long messages
+              const content = msg.content.length > 50 ? `${msg.content.substring(0, 50)}...` : msg.content;
+              historyMsg += `${roleIcon} <b>${msg.role}:</b> ${content}\n`;
+            }
+            await sendNotification(chatId, historyMsg);
+          }
+          catch (e) {
+            console.error("History error:", e);
+            await sendNotification(chatId, "Failed to fetch history.");
+          }
+          return;
+        }
+      }
+
+      // retrieve existing threadId for this chat if we have one
+      await handleChatMessage(chatId, text, [], from, { replyTo });
+    }
+    else if (message.photo) {
+      const chatId = message.chat.id;
+      const mediaGroupId = message.media_group_id;
+      const caption = message.caption || "";
+      const from = message.from;
+
+      // Get the highest resolution photo
+      const fileId = message.photo[message.photo.length - 1].file_id;
+      const imageUrl = await getTelegramFileUrl(fileId);
+
+      if (mediaGroupId) {
+        // the photos of an album arrive one by one, maybe at different instances
+        await chatQueue.addToMediaGroup(mediaGroupId, { image: imageUrl, caption, chatId, from, replyTo });
+      }
+      else {
+        await handleChatMessage(chatId, caption || "What is in this image?", [imageUrl], from, { replyTo });
+      }
+    }
+    else if (message.document && message.document.mime_type?.startsWith("image/")) {
+      const chatId = message.chat.id;
+      const caption = message.caption || "";
+      const from = message.from;
+      const fileId = message.document.file_id;
+      const imageUrl = await getTelegramFileUrl(fileId);
+
+      await handleChatMessage(chatId, caption || "What is in this image?", [imageUrl], from, { replyTo });
+    }
+    else if ((message.voice || message.audio) && canTranscribe()) {
+      const chatId = message.chat.id;
+      const from = message.from;
+
+      try {
+        const result = await transcribe(message.voice || message.audio);
+        if (result.error) {
+          await sendNotification(chatId, result.error);
+          return;
+        }
+        // the transcript is answered like a typed message
+        await handleChatMessage(chatId, [message.caption, result.text].filter(Boolean).join("\n\n"), [], from, { replyTo });
+      }
+      catch (e) {
+        console.warn("⚠️ Failed to transcribe a voice message:", e.response?.data?.error?.message || e.message);
+        await sendNotification(chatId, "❌ I couldn't transcribe that recording. Please try again or type your message.");
+      }
+    }
+    else if (message.document && canExtract(message.document)) {
+      const chatId = message.chat.id;
+      const from = message.from;
+
+      try {
+        const document = await extractDocument(message.document);
+        if (document.error) {
+          await sendNotification(chatId, document.error);
+          return;
+        }
+        await handleChatMessage(chatId, message.caption || "Summarize this document.", [], from, { documents: [document], replyTo });
+      }
+      catch (e) {
+        console.warn("⚠️ Failed to read a document:", e.message);
+        await sendNotification(chatId, "❌ I couldn't read that file. Please try again or paste its text.");
+      }
+    }
+    else {
+      const reply = unsupportedReply(message);
+      if (reply)
+        await sendNotification(message.chat.id, reply);
+    }
+  }
+
+  async function syncGroup(chat) {
+    const groupData = {
+      chat_id: String(chat.id),
+      title: chat.title || "",
+      type: chat.type,
+      username: chat.username || "",
+    };
+    try {
+      try {
+        const record = await pb.collection("telegram_groups").getFirstListItem(pb.filter("chat_id = {:chatId}", { chatId: groupData.chat_id }));
+        await pb.collection("telegram_groups").update(record.id, groupData);
+      }
+      catch (e) {
+        if (e.status !== 404)
+          throw e;
+        await pb.collection("telegram_groups").create({ ...groupData, system_prompt: DEFAULT_SYSTEM_PROMPT_SUFFIX });
+      }
+    }
+    catch (e) {
+      console.warn("⚠️ Failed to sync group data:", e.message);
+    }
+  }
+
+  // members are tracked by their user id, also when they talk in a group; resolves with their record
+  async function syncUser(from) {
+    const chatId = from.id;
+    try {
+      const userData = {
+        chat_id: String(chatId),
+        username: from.username || "",
+        first_name: from.first_name || "",
+        last_name: from.last_name || "",
+        language_code: from.language_code || "",
+        // broadcasts filter on when users were last seen; talking to the bot again means they unblocked it
+        last_active: new Date().toISOString(),
+        inactive: false,
+      };
+
+      // Try to find existing user first
+      try {
+        const record = await pb.collection("telegram_users").getFirstListItem(`chat_id="${String(chatId)}"`);
+        // Update specific fields (preserve system_prompt if exists)
+        return await pb.collection("telegram_users").update(record.id, userData);
+      }
+      catch {
+        // Create if not exists
+        return await pb.collection("telegram_users").create({
+          ...userData,
+          system_prompt: DEFAULT_SYSTEM_PROMPT_SUFFIX,
+        });
+      }
+    }
+    catch (err) {
+      console.warn("⚠️ Failed to sync user data:", err.message);
+      return null;
+    }
+  }
+
+  // the chat's own provider choice, or the deployment's default
+  async function chatProvider(chatId) {
+    try {
+      const record = await pb.collection(settingsCollection(chatId)).getFirstListItem(pb.filter("chat_id = {:chatId}", { chatId: String(chatId) }));
+      return getProvider(record.llm_provider);
+    }
+    catch {
+      return getProvider();
+    }
+  }
+
+  // earlier messages of a thread, oldest first, for providers that are sent the whole conversation
+  async function loadHistory(chatId, threadId, excludeId) {
+    try {
+      const records = await pb.collection("messages").getList(1, LLM_HISTORY_MESSAGES, {
+        filter: pb.filter("chat_id = {:chatId} && thread_id = {:threadId} && id != {:excludeId}", {
+          chatId: String(chatId),
+          threadId,
+          excludeId: excludeId || "",
+        }),
+        sort: "-created",
+      });
+      return records.items.reverse().map(record => ({ role: record.role, content: record.content }));
+    }
+    catch (e) {
+      console.warn("⚠️ Failed to load the conversation history:", e.message);
+      return [];
+    }
+  }
+
+  /**
+   * Queues a chat message for the AI on the lane of the conversation it was
+   * sent in, after the quota check. Answers run one at a time per conversation
+   * on whichever instance claims the lane, see answerChatJob.
+   */
+  async function handleChatMessage(chatId, text, images = [], from, { documents = [], replyTo } = {}) {
+    const provider = await chatProvider(chatId);
+    if (!provider) {
+      await sendNotification(chatId, "No AI provider is configured. Please contact @ercouldnt for support.");
+      return;
+    }
+    const overQuota = await access.consume(from, images.length);
+    if (overQuota) {
+      await sendNotification(chatId, overQuota);
+      return;
+    }
+
+    // the answer goes to the conversation the message was sent in, even after a /switch
+    const { name: threadName } = await conversations.current(chatId);
+    const job = await chatQueue.enqueue(`${currentBot().name}:${chatId}:${threadName}`, {
+      chat_id: chatId,
+      thread_name: threadName,
+      text,
+      images,
+      documents,
+      reply_to: replyTo,
+    });
+    // max queue length is 3 for each conversation, a refused message does not count against the quota
+    if (!job) {
+      await access.refund(from, images.length);
+      await sendNotification(chatId, "There are too many requests from you. Please wait for previous operations to complete before sending new messages 👹");
+      return;
+    }
+
+    const activeChatsCount = await chatQueue.activeCount();
+    if (activeChatsCount >= 3) {
+      const queueMsg = `There are currently ${activeChatsCount} people using this app at the moment. Since there are more users, my response may be slightly delayed. Be patient, I will respond as soon as possible 🙂`;
+      await sendNotification(chatId, queueMsg);
+    }
+  }
+
+  // answers a queued chat message, called by the chat queue
+  async function answerChatJob(job, { checkpoint }) {
+    const { chat_id: chatId, thread_name: threadName, text, images, documents, reply_to: replyTo } = job;
+    const provider = await chatProvider(chatId);
+    if (!provider)
+      return;
+
+    let threadId = await conversations.threadOf(chatId, threadName);
+    // stateless providers get a thread id of our own, the history is read back by it
+    if (!threadId && provider.history) {
+      threadId = randomUUID();
+      await conversations.saveThread(chatId, threadName, threadId);
+    }
+
+    // store user message to PB, once: a job that runs again after a crash finds it on the job
+    let userMsgRecordId = job.user_message_id || null;
+    if (!userMsgRecordId) {
+      try {
+        const record = await pb.collection("messages").create({
+          chat_id: String(chatId),
+          role: "user",
+          // the history keeps which files were attached, not their text
+          content: [text, ...documents.map(document => `📎 ${document.name}`)].join("\n"),
+          thread_id: threadId || "",
+        });
+        userMsgRecordId = record.id;
+        await checkpoint({ user_message_id: userMsgRecordId });
+      }
+      catch (e) {
+        console.warn("PB user msg save error:", e.message);
+      }
+    }
+
+    try {
+      const progressMessage = await callTelegram("sendMessage", {
+        chat_id: chatId,
+        text: "In process... 🧑🏻‍💻",
+        reply_parameters: replyTo ? { message_id: replyTo, allow_sending_without_reply: true } : undefined,
+      });
+      const progressMessageId = progressMessage.message_id;
+
+      // Fetch custom system prompt
+      let systemPromptPart = DEFAULT_SYSTEM_PROMPT_SUFFIX;
+      try {
+        const userSettings = await pb.collection(settingsCollection(chatId)).getFirstListItem(`chat_id="${String(chatId)}"`);
+        if (userSettings.system_prompt) {
+          systemPromptPart = userSettings.system_prompt;
+        }
+      }
+      catch { /* use default */ }
+
+      const finalSystemPrompt = `${SYSTEM_PROMPT} ${systemPromptPart}`;
+
+      console.warn(`📡 Sending to ${provider.name} for chat ${chatId}: Prompt="${text}", Images=${images.length}`);
+      const history = provider.history ? await loadHistory(chatId, threadId, userMsgRecordId) : [];
+
+      // a streaming provider fills the progress message as it writes
+      const replyStream = createReplyStream(chatId, progressMessageId);
+      const llmTimer = llmRequests.startTimer({ provider: provider.name });
+      let apiRes;
+      try {
+        apiRes = await provider.chat({
+          chatId,
+          systemPrompt: finalSystemPrompt,
+          prompt: withDocuments(text, documents),
+          images,
+          threadId,
+          history,
+        }, { onText: partial => replyStream.push(partial) });
+        llmTimer({ outcome: "ok" });
+      }
+      catch (e) {
+        llmTimer({ outcome: "error" });
+        throw e;
+      }
+
+      // cache the latest threadId for this chat
+      if (apiRes.threadId)
+        await conversations.saveThread(chatId, threadName, apiRes.threadId);
+
+      const fullResponse = apiRes.response;
+
+      if (!fullResponse || fullResponse.length === 0) {
+        await sendNotification(chatId, "No response received from the AI. Please contact @ercouldnt for support.");
+        await callTelegram("deleteMessage", { chat_id: chatId, message_id: progressMessageId });
+        return;
+      }
+
+      if (apiRes.streamed && fullResponse) {
+        // the progress message already shows the answer, it only needs its final form
+        await replyStream.finish(fullResponse);
+      }
+      else {
+        // cut at paragraphs and code blocks, never inside a tag
+        for (const chunk of splitHtml(sanitizeHtml(fullResponse))) {
+          const sent = await sendNotification(chatId, chunk);
+          if (!sent.ok)
+            console.warn(`⚠️ Failed to send a reply part to chat ${chatId}:`, sent.error);
+        }
+
+        // delete the progress message
+        await callTelegram("deleteMessage", {
+          chat_id: chatId,
+          message_id: progressMessageId,
+        });
+      }
+
+      // store AI response to PB
+      try {
+        const newThreadId = apiRes.threadId;
+
+        await pb.collection("messages").create({
+          chat_id: String(chatId),
+          role: "assistant",
+          content: fullResponse,
+          thread_id: threadId || newThreadId,
+        });
+
+        // if we didn't have a threadId before (it was the first message), update the user message
+        if (!threadId && userMsgRecordId) {
+          try {
+            await pb.collection("messages").update(userMsgRecordId, {
+              thread_id: newThreadId,
+            });
+          }
+          catch (updateErr) {
+            console.warn("Failed to backfill thread_id for user msg:", updateErr.message);
+          }
+        }
+      }
+      catch (e) {
+        console.warn("PB assistant msg save error:", e.message);
+      }
+    }
+    catch (error) {
+      console.warn("Chat answer error:", error);
+    }
+  }
+
+  return { handleUpdate, chatQueue };
+}
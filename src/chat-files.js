@@ -0,0 +1,138 @@
+import { Buffer } from "node:buffer";
+import axios from "axios";
+import { extractText, getDocumentProxy } from "unpdf";
+import { CHAT_DOCUMENT_MAX_CHARS, CHAT_FILE_MAX_BYTES, STT_API_KEY, STT_MODEL, STT_URL } from "./config.js";
+import { getTelegramFileUrl } from "./telegram.js";
+
+const MB = 1024 * 1024;
+
+const TEXT_MIME_TYPES = ["application/json", "application/xml", "application/x-yaml", "application/javascript", "application/x-sh"];
+const TEXT_EXTENSIONS = /\.(?:txt|md|markdown|csv|tsv|json|xml|ya?ml|log|ini|toml|html?|css|[jt]sx?|py|rb|go|rs|java|kt|c|h|cpp|cs|php|sh|sql)$/i;
+
+// what the bot answers to messages it cannot read, by the field telegram puts them in
+const UNSUPPORTED = {
+  video: "videos",
+  video_note: "video messages",
+  animation: "GIFs",
+  sticker: "stickers",
+  location: "locations",
+  venue: "locations",
+  contact: "contacts",
+  poll: "polls",
+};
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / MB * 10) / 10} MB`;
+}
+
+function isPdf({ mime_type: mimeType, file_name: filename }) {
+  return mimeType === "application/pdf" || /\.pdf$/i.test(filename || "");
+}
+
+function isText({ mime_type: mimeType, file_name: filename }) {
+  return Boolean(mimeType?.startsWith("text/") || TEXT_MIME_TYPES.includes(mimeType) || TEXT_EXTENSIONS.test(filename || ""));
+}
+
+/**
+ * Downloads a file a user sent to the bot. Returns `{ buffer, filePath }`, or
+ * `{ error }` worded for the user when it is larger than CHAT_FILE_MAX_BYTES.
+ */
+async function download(file) {
+  const tooLarge = { error: `That file is too large, I can read files up to ${formatSize(CHAT_FILE_MAX_BYTES)}.` };
+  if (file.file_size > CHAT_FILE_MAX_BYTES)
+    return tooLarge;
+
+  const url = await getTelegramFileUrl(file.file_id);
+  try {
+    const res = await axios.get(url, { responseType: "arraybuffer", maxContentLength: CHAT_FILE_MAX_BYTES });
+    return { buffer: Buffer.from(res.data), filePath: new URL(url).pathname };
+  }
+  catch (e) {
+    if (/maxContentLength/i.test(e.message))
+      return tooLarge;
+    throw e;
+  }
+}
+
+export function canTranscribe() {
+  return Boolean(STT_URL);
+}
+
+/**
+ * Sends a voice note or audio file to the speech-to-text endpoint at STT_URL,
+ * an OpenAI compatible `/audio/transcriptions` (OpenAI, a whisper.cpp or
+ * faster-whisper server). Resolves with `{ text }` or `{ error }` for the user.
+ */
+export async function transcribe(audio) {
+  const file = await download(audio);
+  if (file.error)
+    return file;
+
+  // voice notes are ogg opus saved as .oga, which transcription apis only take as .ogg
+  const filename = (audio.file_name || file.filePath.split("/").pop() || "voice.ogg").replace(/\.oga$/i, ".ogg");
+  const form = new FormData();
+  form.append("file", new Blob([file.buffer], { type: audio.mime_type || "audio/ogg" }), filename);
+  form.append("model", STT_MODEL);
+  form.append("response_format", "json");
+
+  const res = await axios.post(STT_URL, form, {
+    headers: STT_API_KEY ? { Authorization: `Bearer ${STT_API_KEY}` } : {},
+    maxBodyLength: Infinity,
+  });
+  const text = String(res.data?.text ?? "").trim();
+  return text ? { text } : { error: "I could not make out any words in that recording." };
+}
+
+export function canExtract(document) {
+  return isPdf(document) || isText(document);
+}
+
+/**
+ * The text of a PDF or plain-text document, cut to CHAT_DOCUMENT_MAX_CHARS.
+ * Resolves with `{ name, text, truncated }` or `{ error }` for the user.
+ */
+export async function extractDocument(document) {
+  const file = await download(document);
+  if (file.error)
+    return file;
+
+  let text;
+  if (isPdf(document)) {
+    const pdf = await getDocumentProxy(new Uint8Array(file.buffer));
+    text = (await extractText(pdf, { mergePages: true })).text;
+  }
+  else {
+    text = file.buffer.toString("utf8");
+    if (text.includes("\0"))
+      return { error: "That file does not look like text, I can read PDFs and plain-text files." };
+  }
+
+  text = text.trim();
+  if (!text)
+    return { error: "I could not find any text in that file (scanned PDFs are images, send them as photos)." };
+  const truncated = text.length > CHAT_DOCUMENT_MAX_CHARS;
+  return {
+    name: document.file_name || "document",
+    text: truncated ? text.slice(0, CHAT_DOCUMENT_MAX_CHARS) : text,
+    truncated,
+  };
+}
+
+// the prompt with the documents' text attached after it
+export function withDocuments(prompt, documents) {
+  const attached = documents.map(({ name, text, truncated }) =>
+    `<document name="${name.replace(/"/g, "'")}"${truncated ? " truncated" : ""}>\n${text}\n</document>`);
+  return [prompt, ...attached].join("\n\n");
+}
+
+// a reply for message kinds the bot cannot read, null for the ones it can (or that need no answer)
+export function unsupportedReply(message) {
+  const kind = Object.keys(UNSUPPORTED).find(key => message[key]);
+  if (kind)
+    return `Sorry, I can't read ${UNSUPPORTED[kind]}. Send me text, photos, voice messages, PDFs or text files.`;
+  if (message.document)
+    return "Sorry, I can't read that file type. Send me PDFs, plain-text files or images.";
+  if ((message.voice || message.audio) && !canTranscribe())
+    return "Sorry, voice messages are not enabled on this bot. Please type your message.";
+  return null;
+}
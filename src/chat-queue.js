@@ -0,0 +1,204 @@
+import { randomUUID } from "node:crypto";
+import { currentBot, getBot, withBot } from "./bots.js";
+import { claimDue, runWorker } from "./redis-scripts.js";
+
+// redis keys
+const LANES_KEY = "chat_lanes"; // zset: lane (a chat's conversation) ➜ time (ms) its next job may run
+const LANE_KEY_PREFIX = "chat_lane:"; // list per lane: job ids, oldest first; the first one is running
+const JOB_KEY_PREFIX = "chat_job:"; // string: job json
+const MEDIA_GROUPS_KEY = "chat_media_groups"; // zset: media group id ➜ time (ms) the album is complete
+const MEDIA_GROUP_KEY_PREFIX = "chat_media_group:"; // hash per album: who sent it, its caption
+const MEDIA_IMAGES_KEY_PREFIX = "chat_media_group_images:"; // list per album: image urls in order
+
+const MAX_PENDING = 3; // jobs per lane, the running one included
+const MAX_ATTEMPTS = 3; // a job whose worker died this often is dropped
+const LEASE_MS = 60 * 1000; // a claimed lane runs again if its worker dies
+const HEARTBEAT_MS = 20 * 1000; // answers take longer than a lease, the worker keeps extending it
+const POLL_INTERVAL_MS = 250;
+const CONCURRENCY = 10;
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+const MEDIA_GROUP_WAIT_MS = 1500; // telegram sends the photos of an album as separate updates
+const MEDIA_GROUP_TTL_SECONDS = 60;
+
+// adds a job unless the lane is full, a new lane is due right away
+const PUSH_SCRIPT = `
+if redis.call("LLEN", KEYS[1]) >= tonumber(ARGV[1]) then return 0 end
+redis.call("RPUSH", KEYS[1], ARGV[2])
+redis.call("ZADD", KEYS[2], "NX", ARGV[3], ARGV[4])
+return 1
+`;
+
+// removes a finished job, the lane's next job is due right away and an empty lane goes away
+const COMPLETE_SCRIPT = `
+redis.call("LREM", KEYS[1], 1, ARGV[1])
+if redis.call("LLEN", KEYS[1]) == 0 then
+  redis.call("ZREM", KEYS[2], ARGV[2])
+else
+  redis.call("ZADD", KEYS[2], "XX", ARGV[3], ARGV[2])
+end
+return 0
+`;
+
+/**
+ * Redis backed queue for AI chat messages. Every conversation is a lane
+ * whose jobs run one at a time and in order, on whichever app instance
+ * claims the lane; the claim is a lease kept alive while the answer is
+ * written, so when an instance dies its job runs again elsewhere or after the
+ * restart. A job is dropped with `onDrop(job)` once that happened
+ * MAX_ATTEMPTS times.
+ *
+ * `process(job, { checkpoint })` answers a job; `checkpoint(fields)` stores
+ * progress on it for a rerun. The photos of an album are collected in redis
+ * and handed to `onMediaGroup({ images, caption, ...meta })` once complete.
+ * Jobs and albums remember the bot they came to, `process`, `onDrop` and
+ * `onMediaGroup` run as that bot.
+ */
+export function createChatQueue({ redis, process, onDrop, onMediaGroup }) {
+  const workers = [];
+
+  async function saveJob(job) {
+    await redis.set(`${JOB_KEY_PREFIX}${job.id}`, JSON.stringify(job), { EX: JOB_TTL_SECONDS });
+  }
+
+  async function getJob(id) {
+    const raw = await redis.get(`${JOB_KEY_PREFIX}${id}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // queues a job on a lane, resolves with null when the lane already has MAX_PENDING jobs
+  async function enqueue(lane, data) {
+    const job = { ...data, id: randomUUID(), bot: currentBot().name, lane, attempts: 0, created_at: new Date().toISOString() };
+    await saveJob(job);
+    const pushed = await redis.eval(PUSH_SCRIPT, {
+      keys: [`${LANE_KEY_PREFIX}${lane}`, LANES_KEY],
+      arguments: [String(MAX_PENDING), job.id, String(Date.now()), lane],
+    });
+    if (pushed === 1)
+      return job;
+    await redis.del(`${JOB_KEY_PREFIX}${job.id}`);
+    return null;
+  }
+
+  // conversations with jobs waiting or running
+  function activeCount() {
+    return redis.zCard(LANES_KEY);
+  }
+
+  async function complete(lane, id) {
+    await redis.eval(COMPLETE_SCRIPT, {
+      keys: [`${LANE_KEY_PREFIX}${lane}`, LANES_KEY],
+      arguments: [id, lane, String(Date.now())],
+    });
+    await redis.del(`${JOB_KEY_PREFIX}${id}`);
+  }
+
+  async function runLane(lane) {
+    const id = await redis.lIndex(`${LANE_KEY_PREFIX}${lane}`, 0);
+    const job = id && await getJob(id);
+    if (!job)
+      return complete(lane, id || "");
+    // jobs queued before bots had names belong to the first one
+    if (job.bot && !getBot(job.bot)) {
+      console.error(`❌ Chat job ${id} dropped, the bot "${job.bot}" is no longer configured`);
+      return complete(lane, id);
+    }
+    return withBot(job.bot, () => runJob(lane, id, job));
+  }
+
+  async function runJob(lane, id, job) {
+    job.attempts += 1;
+    await saveJob(job);
+    if (job.attempts > MAX_ATTEMPTS) {
+      console.error(`❌ Chat job ${id} for ${job.chat_id} dropped, its worker stopped ${MAX_ATTEMPTS} times`);
+      try {
+        await onDrop?.(job);
+      }
+      finally {
+        await complete(lane, id);
+      }
+      return;
+    }
+
+    const heartbeat = setInterval(() => {
+      redis.zAdd(LANES_KEY, { score: Date.now() + LEASE_MS, value: lane }, { XX: true })
+        .catch(e => console.warn(`⚠️ Failed to extend the lease of chat lane ${lane}:`, e.message));
+    }, HEARTBEAT_MS);
+    try {
+      await process(job, { checkpoint: fields => saveJob(Object.assign(job, fields)) });
+    }
+    catch (e) {
+      console.warn(`Chat job ${id} for ${job.chat_id} failed:`, e.message);
+    }
+    finally {
+      clearInterval(heartbeat);
+    }
+    await complete(lane, id);
+  }
+
+  /**
+   * Adds a photo to its album. `meta` (who sent it, where to answer) is kept
+   * from the first photo, the caption from whichever photo has one.
+   */
+  async function addToMediaGroup(groupId, { image, caption, ...meta }) {
+    const key = `${MEDIA_GROUP_KEY_PREFIX}${groupId}`;
+    const imagesKey = `${MEDIA_IMAGES_KEY_PREFIX}${groupId}`;
+    const multi = redis.multi()
+      .hSetNX(key, "meta", JSON.stringify({ ...meta, bot: currentBot().name }))
+      .rPush(imagesKey, image)
+      .expire(key, MEDIA_GROUP_TTL_SECONDS)
+      .expire(imagesKey, MEDIA_GROUP_TTL_SECONDS)
+      .zAdd(MEDIA_GROUPS_KEY, { score: Date.now() + MEDIA_GROUP_WAIT_MS, value: groupId });
+    if (caption)
+      multi.hSet(key, "caption", caption);
+    await multi.exec();
+  }
+
+  async function hasMediaGroup(groupId) {
+    return Boolean(groupId) && await redis.exists(`${MEDIA_GROUP_KEY_PREFIX}${groupId}`) === 1;
+  }
+
+  async function flushMediaGroup(groupId) {
+    const key = `${MEDIA_GROUP_KEY_PREFIX}${groupId}`;
+    const imagesKey = `${MEDIA_IMAGES_KEY_PREFIX}${groupId}`;
+    const [fields, images] = await redis.multi()
+      .hGetAll(key)
+      .lRange(imagesKey, 0, -1)
+      .del([key, imagesKey])
+      .zRem(MEDIA_GROUPS_KEY, groupId)
+      .exec();
+    if (!fields.meta)
+      return;
+    const { bot, ...meta } = JSON.parse(fields.meta);
+    if (!bot || getBot(bot))
+      await withBot(bot, () => onMediaGroup({ ...meta, caption: fields.caption || "", images }));
+  }
+
+  // a worker running one due lane or media group of `key` at a time
+  function worker(key, run) {
+    return runWorker({
+      tick: async () => {
+        const claimed = await claimDue(redis, key, LEASE_MS);
+        if (!claimed)
+          return false;
+        await run(claimed.id);
+        return true;
+      },
+      idleMs: POLL_INTERVAL_MS,
+      onError: e => console.warn("Chat queue worker error:", e.message),
+    });
+  }
+
+  function start(concurrency = CONCURRENCY) {
+    if (workers.length > 0)
+      return;
+    for (let i = 0; i < concurrency; i++)
+      workers.push(worker(LANES_KEY, runLane));
+    workers.push(worker(MEDIA_GROUPS_KEY, flushMediaGroup));
+  }
+
+  async function stop() {
+    await Promise.all(workers.splice(0).map(w => w.stop()));
+  }
+
+  return { enqueue, activeCount, addToMediaGroup, hasMediaGroup, start, stop };
+}
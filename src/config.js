@@ -0,0 +1,67 @@
+import process from "node:process";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// see readme.md for env vars
+export const BOT_TOKEN = process.env.BOT_TOKEN;
+export const CHAT_ID = process.env.CHAT_ID;
+export const ERKUT_API_KEY = process.env.ERKUT_API_KEY;
+export const SECRET_TOKEN = process.env.SECRET_TOKEN;
+export const WEBHOOK_PATH = process.env.WEBHOOK_PATH || "webhook";
+// "webhook" (default) or "polling" for hosts telegram cannot reach
+export const UPDATE_MODE = process.env.UPDATE_MODE?.trim().toLowerCase() === "polling" ? "polling" : "webhook";
+export const REDIS_URL = process.env.REDIS_URL;
+// further bots next to the one above, a json array, see "Multiple bots" in readme.md
+export const BOTS = process.env.BOTS || "";
+// the bot api, e.g. the sandbox (npm run sandbox) or a local bot api server instead of telegram's
+export const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, "");
+export const SANDBOX_PORT = Number(process.env.SANDBOX_PORT) || 3005;
+
+// AI chat, see src/llm: "prompt-api" or "openai", users may pick another with /provider
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || (process.env.GPT_BASE_URL ? "prompt-api" : "openai");
+// earlier messages sent along to providers that keep no conversation themselves
+export const LLM_HISTORY_MESSAGES = Number(process.env.LLM_HISTORY_MESSAGES) || 20;
+// ask the provider to stream its answers, it falls back to one json answer when it cannot
+export const GPT_STREAM = process.env.GPT_STREAM !== "false";
+// GPT API endpoint of the prompt-api provider
+export const GPT_BASE_URL = process.env.GPT_BASE_URL;
+// openai compatible chat completions, e.g. http://localhost:11434/v1 for ollama
+export const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL;
+export const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+export const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+export const SYSTEM_PROMPT = process.env.SYSTEM_PROMPT;
+// openai compatible /audio/transcriptions for voice messages, they are refused without it
+export const STT_URL = process.env.STT_URL;
+export const STT_API_KEY = process.env.STT_API_KEY;
+export const STT_MODEL = process.env.STT_MODEL || "whisper-1";
+// files users send the bot, telegram lets bots download at most 20 MB
+export const CHAT_FILE_MAX_BYTES = Math.min(Number(process.env.CHAT_FILE_MAX_BYTES) || 10 * 1024 * 1024, 20 * 1024 * 1024);
+// document text beyond this is cut before it goes into the prompt
+export const CHAT_DOCUMENT_MAX_CHARS = Number(process.env.CHAT_DOCUMENT_MAX_CHARS) || 20000;
+export const POCKETBASE_URL = process.env.POCKETBASE_URL;
+export const POCKETBASE_EMAIL = process.env.POCKETBASE_EMAIL;
+export const POCKETBASE_PASSWORD = process.env.POCKETBASE_PASSWORD;
+
+// outbound /notify queue
+export const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+// more than this many notifications per chat in the window are folded into one summary, 0 disables it
+export const NOTIFY_FLOOD_THRESHOLD = Number(process.env.NOTIFY_FLOOD_THRESHOLD ?? 20);
+export const NOTIFY_FLOOD_WINDOW = Number(process.env.NOTIFY_FLOOD_WINDOW) || 60;
+// signs the clicks posted to a notification's callback_url
+export const NOTIFY_CALLBACK_SECRET = process.env.NOTIFY_CALLBACK_SECRET;
+
+// chat bot access: user ids of the owners, "open" (default) or "whitelist", daily quotas per user (0 = unlimited)
+export const BOT_OWNER_IDS = (process.env.BOT_OWNER_IDS || "").split(",").map(id => id.trim()).filter(Boolean);
+export const ACCESS_MODE = process.env.ACCESS_MODE === "whitelist" ? "whitelist" : "open";
+export const USER_DAILY_MESSAGES = Number(process.env.USER_DAILY_MESSAGES ?? 100);
+export const USER_DAILY_IMAGES = Number(process.env.USER_DAILY_IMAGES ?? 20);
+
+// incoming webhook adapters, see /hooks in readme.md
+export const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+export const GRAFANA_WEBHOOK_SECRET = process.env.GRAFANA_WEBHOOK_SECRET;
+
+// bearer token GET /metrics asks for, open when empty
+export const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+export const PORT = process.env.PORT || 3002;
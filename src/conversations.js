@@ -0,0 +1,235 @@
+import { Buffer } from "node:buffer";
+import { isGroupAdmin, isGroupChat } from "./groups.js";
+import { escapeHtml } from "./html.js";
+import { sendMediaNotification, sendNotification } from "./telegram.js";
+
+// redis keys
+const THREADS_KEY = "chat_threads"; // hash: chat id ➜ thread id of the conversation in use
+const ACTIVE_KEY = "chat_active_thread"; // hash: chat id ➜ name of the conversation in use
+const NAMES_KEY_PREFIX = "chat_thread_names:"; // hash per chat: conversation name ➜ thread id, empty until it has one
+
+const DEFAULT_NAME = "main";
+const MAX_NAME_LENGTH = 32;
+const COMMANDS = ["/new", "/threads", "/switch", "/export", "/forget"];
+const ONLY_ADMINS = "Only group admins can start or switch this group's conversations. 🔒";
+// what /forget keeps of a telegram_users record: the owner's ban, whitelist and quota decisions
+const MODERATION_FIELDS = ["status", "ban_reason", "daily_message_limit", "daily_image_limit"];
+// and what it clears on a record it keeps
+const PROFILE_FIELDS = { username: "", first_name: "", last_name: "", language_code: "", system_prompt: "", llm_provider: "", last_active: "" };
+
+export const CONVERSATION_HELP = `
+/new [name] - Start another conversation
+/threads - List your conversations
+/switch &lt;name&gt; - Go back to a conversation
+/export [json] - Download the conversation
+/forget - Delete everything the bot stored about you`;
+
+function toMarkdown(name, messages) {
+  const lines = [`# ${name}`, ""];
+  for (const message of messages)
+    lines.push(`## ${message.role === "user" ? "You" : "Assistant"} · ${message.created}`, "", message.content, "");
+  return lines.join("\n");
+}
+
+/**
+ * Named conversations per chat. Every chat has a "main" conversation and may
+ * start more with /new; the one in use is kept in `chat_threads` like before,
+ * its name in `chat_active_thread` and the thread ids of all of them in a
+ * hash per chat. Thread ids are made by the bot or by the provider on the
+ * first answer, so a new conversation has none until then.
+ */
+export function createConversations({ pb, redis }) {
+  const messages = () => pb.collection("messages");
+
+  async function activeName(chatId) {
+    return await redis.hGet(ACTIVE_KEY, String(chatId)) || DEFAULT_NAME;
+  }
+
+  // the conversation in use: `{ name, threadId }`, threadId is null before its first answer
+  async function current(chatId) {
+    const [name, threadId] = await Promise.all([activeName(chatId), redis.hGet(THREADS_KEY, String(chatId))]);
+    return { name, threadId: threadId || null };
+  }
+
+  // the thread id of a named conversation, in use or not
+  async function threadOf(chatId, name) {
+    const { name: active, threadId } = await current(chatId);
+    if (name === active)
+      return threadId;
+    return await redis.hGet(`${NAMES_KEY_PREFIX}${chatId}`, name) || null;
+  }
+
+  // all conversations of a chat by name, the one in use included
+  async function list(chatId) {
+    const { name, threadId } = await current(chatId);
+    const threads = await redis.hGetAll(`${NAMES_KEY_PREFIX}${chatId}`);
+    return { [DEFAULT_NAME]: "", ...threads, [name]: threadId || "" };
+  }
+
+  /**
+   * Remembers the thread id of a named conversation; it becomes the chat's
+   * thread only while that conversation is still the one in use.
+   */
+  async function saveThread(chatId, name, threadId) {
+    await redis.hSet(`${NAMES_KEY_PREFIX}${chatId}`, name, threadId);
+    if (await activeName(chatId) === name)
+      await redis.hSet(THREADS_KEY, String(chatId), threadId);
+  }
+
+  // starts the conversation in use over, under the same name
+  async function clear(chatId) {
+    const name = await activeName(chatId);
+    await redis.multi()
+      .hDel(THREADS_KEY, String(chatId))
+      .hSet(`${NAMES_KEY_PREFIX}${chatId}`, name, "")
+      .exec();
+  }
+
+  async function activate(chatId, name, threadId) {
+    const { name: previous, threadId: previousThread } = await current(chatId);
+    const multi = redis.multi()
+      .hSet(`${NAMES_KEY_PREFIX}${chatId}`, previous, previousThread || "")
+      .hSet(`${NAMES_KEY_PREFIX}${chatId}`, name, threadId)
+      .hSet(ACTIVE_KEY, String(chatId), name);
+    if (threadId)
+      multi.hSet(THREADS_KEY, String(chatId), threadId);
+    else
+      multi.hDel(THREADS_KEY, String(chatId));
+    await multi.exec();
+  }
+
+  async function startNew(chatId, args) {
+    const threads = await list(chatId);
+    const name = args || `chat ${Object.keys(threads).length + 1}`;
+    if (name.length > MAX_NAME_LENGTH)
+      return `❌ Names are at most ${MAX_NAME_LENGTH} characters.`;
+    if (name in threads)
+      return `❌ There already is a conversation named <b>${escapeHtml(name)}</b>, /switch to it.`;
+    await activate(chatId, name, "");
+    return `🆕 Started <b>${escapeHtml(name)}</b>. /threads lists your conversations.`;
+  }
+
+  async function showThreads(chatId) {
+    const { name: active } = await current(chatId);
+    const lines = await Promise.all(Object.entries(await list(chatId)).map(async ([name, threadId], i) => {
+      const count = threadId
+        ? (await messages().getList(1, 1, { filter: pb.filter("chat_id = {:chatId} && thread_id = {:threadId}", { chatId: String(chatId), threadId }) })).totalItems
+        : 0;
+      return `${i + 1}. <b>${escapeHtml(name)}</b> (${count} messages)${name === active ? " ← current" : ""}`;
+    }));
+    return `<b>Conversations:</b>\n${lines.join("\n")}\n\n/switch &lt;name or number&gt; changes to another one.`;
+  }
+
+  async function switchTo(chatId, args) {
+    const threads = await list(chatId);
+    const names = Object.keys(threads);
+    const name = /^\d+$/.test(args) ? names[Number(args) - 1] : args;
+    if (!args || !(name in threads))
+      return `❌ Usage: /switch &lt;name or number&gt;, one of: ${names.map(escapeHtml).join(", ")}`;
+    await activate(chatId, name, threads[name]);
+    return `↪️ Switched to <b>${escapeHtml(name)}</b>.`;
+  }
+
+  // sends the conversation in use as a markdown or json file
+  async function exportThread(chatId, args) {
+    const { name, threadId } = await current(chatId);
+    const records = threadId
+      ? await messages().getFullList({
+          filter: pb.filter("chat_id = {:chatId} && thread_id = {:threadId}", { chatId: String(chatId), threadId }),
+          sort: "created",
+        })
+      : [];
+    if (records.length === 0)
+      return "Nothing to export yet, this conversation has no messages.";
+
+    const entries = records.map(({ role, content, created }) => ({ role, content, created }));
+    const json = args.toLowerCase() === "json";
+    const body = json ? JSON.stringify({ name, thread_id: threadId, messages: entries }, null, 2) : toMarkdown(name, entries);
+    const filename = `${name.replace(/[^\w-]+/g, "_")}.${json ? "json" : "md"}`;
+    const sent = await sendMediaNotification(chatId, [{
+      type: "document",
+      buffer: Buffer.from(body),
+      filename,
+      mimeType: json ? "application/json" : "text/markdown",
+    }], `📄 <b>${escapeHtml(name)}</b>, ${records.length} messages`);
+    return sent.ok ? null : `❌ Failed to send the export: ${escapeHtml(sent.error)}`;
+  }
+
+  // deletes the user's private conversations, their conversation names and their telegram_users record, or only its profile when an owner moderated them
+  async function forget(message, args) {
+    if (isGroupChat(message.chat))
+      return "Send /forget to me in a private chat, conversations in groups belong to the group.";
+    if (args !== "confirm")
+      return "⚠️ This deletes all your conversations and your settings, and cannot be undone. Send <code>/forget confirm</code> to go ahead.";
+
+    const userId = String(message.from.id);
+    const records = await messages().getFullList({ filter: pb.filter("chat_id = {:userId}", { userId }), fields: "id" });
+    for (const { id } of records)
+      await messages().delete(id);
+    const users = await pb.collection("telegram_users").getFullList({
+      filter: pb.filter("chat_id = {:userId}", { userId }),
+      fields: ["id", ...MODERATION_FIELDS].join(","),
+    });
+    for (const user of users) {
+      // forgetting must not lift a ban or a quota, nor give up whitelist access
+      if (MODERATION_FIELDS.some(field => user[field]))
+        await pb.collection("telegram_users").update(user.id, PROFILE_FIELDS);
+      else
+        await pb.collection("telegram_users").delete(user.id);
+    }
+    await redis.multi()
+      .hDel(THREADS_KEY, userId)
+      .hDel(ACTIVE_KEY, userId)
+      .del(`${NAMES_KEY_PREFIX}${userId}`)
+      .exec();
+    return `🗑️ Deleted ${records.length} messages and your settings. Messages you send from now on are stored again.`;
+  }
+
+  /**
+   * Handles the conversation commands, returns false for other messages.
+   * In groups only admins may start or switch conversations.
+   */
+  async function handle(message) {
+    const text = message.text || "";
+    const command = text.split(/\s/, 1)[0];
+    const args = text.slice(command.length).trim();
+    if (!COMMANDS.includes(command))
+      return false;
+
+    const chatId = message.chat.id;
+    if ((command === "/new" || command === "/switch") && isGroupChat(message.chat) && !await isGroupAdmin(message)) {
+      await sendNotification(chatId, ONLY_ADMINS);
+      return true;
+    }
+
+    let reply;
+    try {
+      switch (command) {
+        case "/new":
+          reply = await startNew(chatId, args);
+          break;
+        case "/threads":
+          reply = await showThreads(chatId);
+          break;
+        case "/switch":
+          reply = await switchTo(chatId, args);
+          break;
+        case "/export":
+          reply = await exportThread(chatId, args);
+          break;
+        case "/forget":
+          reply = await forget(message, args);
+          break;
+      }
+    }
+    catch (e) {
+      console.error(`Command ${command} failed:`, e);
+      reply = `❌ ${command} failed: ${escapeHtml(e.message)}`;
+    }
+    if (reply)
+      await sendNotification(chatId, reply);
+    return true;
+  }
+
+  return { handle, current, threadOf, saveThread, clear };
+}
@@ -0,0 +1,165 @@
+import { createHash } from "node:crypto";
+import { NOTIFY_FLOOD_THRESHOLD, NOTIFY_FLOOD_WINDOW } from "./config.js";
+import { MAX_CAPTION_LENGTH } from "./media.js";
+import { firstMessageId } from "./notification-log.js";
+import { MAX_TEXT_LENGTH } from "./notify-payload.js";
+import { editNotification } from "./telegram.js";
+
+// redis keys
+const ENTRY_KEY_PREFIX = "notify_dedup:"; // hash per chat and dedup key, expires with the window
+const FLOOD_KEY_PREFIX = "notify_flood:"; // counter of sent notifications per chat and flood window
+const FLOOD_DEDUP_KEY = "\u0000flood"; // cannot clash with a caller's dedup_key
+
+// duplicates are folded into one edit that reads the latest count when it runs
+const EDIT_DELAY_MS = 2000;
+
+const FLOOD_PAYLOAD = {
+  text: "🌊 <b>Flood protection</b>\nThis chat got too many notifications, further ones are suppressed for now.",
+  attachments: [],
+  options: { parse_mode: "HTML" },
+};
+
+// sets a hash field only while the entry still exists, so an expired entry is not revived without a ttl
+const SET_IF_EXISTS_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 0 then return 0 end
+redis.call("HSET", KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+function entryKey(chatId, key) {
+  return `${ENTRY_KEY_PREFIX}${chatId}:${createHash("sha1").update(key).digest("hex")}`;
+}
+
+function counterSuffix(entry) {
+  const last = new Date(Number(entry.last_at)).toISOString().slice(11, 19);
+  const label = `(x${entry.count}, last at ${last} UTC)`;
+  if (entry.parse_mode === "HTML")
+    return `\n\n<i>${label}</i>`;
+  if (entry.parse_mode === "MarkdownV2")
+    return `\n\n_${label.replace(/[().]/g, "\\$&")}_`;
+  return `\n\n${label}`;
+}
+
+/**
+ * Deduplication and flood suppression in front of the notify queue.
+ * Notifications with the same dedup_key for a chat inside the window are
+ * counted and the first message is edited to show "(x12, last at …)".
+ * A chat that gets more than NOTIFY_FLOOD_THRESHOLD notifications in
+ * NOTIFY_FLOOD_WINDOW seconds gets a single summary message instead.
+ * A notification with an external_id that was already sent to the chat
+ * replaces that message through `updates` and is not counted.
+ */
+export function createDedup({ redis, enqueue, updates, floodThreshold = NOTIFY_FLOOD_THRESHOLD, floodWindow = NOTIFY_FLOOD_WINDOW }) {
+  // counts an occurrence, the first one starts the window
+  async function count(ref, window) {
+    const [occurrences] = await redis.multi()
+      .hIncrBy(ref, "count", 1)
+      .expire(ref, window, "NX")
+      .hSet(ref, "last_at", String(Date.now()))
+      .exec();
+    return occurrences;
+  }
+
+  async function sendFirst(ref, chatId, payload, { caller, runAt, externalId }) {
+    const job = await enqueue(chatId, payload, { caller, runAt, meta: { dedup_ref: ref, external_id: externalId } });
+    if (ref) {
+      await redis.hSet(ref, {
+        job_id: job.id,
+        text: payload.text || "",
+        parse_mode: payload.options?.parse_mode || "plain",
+        media: payload.attachments?.length > 0 ? "1" : "0",
+        // editing without the keyboard would remove it
+        reply_markup: payload.options?.reply_markup ? JSON.stringify(payload.options.reply_markup) : "",
+      });
+    }
+    return job;
+  }
+
+  async function countRepeat(ref, chatId, occurrences, caller) {
+    if (await redis.hSetNX(ref, "edit_pending", "1"))
+      await enqueue(chatId, { dedup_edit: ref }, { caller, runAt: Date.now() + EDIT_DELAY_MS, meta: { kind: "edit" } });
+    return { job_id: await redis.hGet(ref, "job_id"), count: occurrences };
+  }
+
+  async function isFlooding(chatId) {
+    if (!floodThreshold)
+      return false;
+    const key = `${FLOOD_KEY_PREFIX}${chatId}`;
+    const [sent] = await redis.multi().incr(key).expire(key, floodWindow, "NX").exec();
+    return sent > floodThreshold;
+  }
+
+  /**
+   * Queues a validated /notify value for one chat unless it is a duplicate
+   * or the chat is flooded. Returns `{ job }` for a new message,
+   * `{ job, job_id, updated }` when it replaces an earlier one and
+   * `{ duplicate, job_id, count }` or `{ suppressed, job_id, count }` otherwise.
+   */
+  async function dispatch(chatId, { payload, sendAt, dedup, externalId }, { caller } = {}) {
+    const previous = externalId && await updates.current(caller, externalId, chatId);
+    if (previous) {
+      // the new notification replaces the old one, buttons included
+      const options = { parse_mode: payload.options.parse_mode, reply_markup: payload.options.reply_markup ?? { inline_keyboard: [] } };
+      const job = await updates.queueUpdate({ job_id: previous, chat_id: chatId }, { text: payload.text, options }, { caller, runAt: sendAt });
+      return { job, job_id: previous, updated: true };
+    }
+
+    let ref;
+    if (dedup) {
+      ref = entryKey(chatId, dedup.key);
+      const occurrences = await count(ref, dedup.window);
+      if (occurrences > 1)
+        return { duplicate: true, ...await countRepeat(ref, chatId, occurrences, caller) };
+    }
+
+    if (await isFlooding(chatId)) {
+      // a suppressed first occurrence is forgotten so the next one may go out
+      if (ref)
+        await redis.del(ref);
+      const floodRef = entryKey(chatId, FLOOD_DEDUP_KEY);
+      const occurrences = await count(floodRef, floodWindow);
+      if (occurrences > 1)
+        return { suppressed: true, ...await countRepeat(floodRef, chatId, occurrences, caller) };
+      const job = await sendFirst(floodRef, chatId, FLOOD_PAYLOAD, { caller });
+      return { suppressed: true, job_id: job.id, count: 1 };
+    }
+
+    const job = await sendFirst(ref, chatId, payload, { caller, runAt: sendAt, externalId });
+    if (externalId)
+      await updates.remember(caller, externalId, chatId, job.id, sendAt);
+    return { job };
+  }
+
+  // queue hook: remembers which telegram message a deduplicated notification became
+  async function onJobChange(job) {
+    const ref = job.meta?.dedup_ref;
+    if (!ref || job.status !== "sent")
+      return;
+    const messageId = firstMessageId(job.result);
+    if (messageId)
+      await redis.eval(SET_IF_EXISTS_SCRIPT, { keys: [ref], arguments: ["message_id", String(messageId)] });
+  }
+
+  // queue sender for the edit jobs queued by countRepeat
+  async function deliverEdit(chatId, { dedup_edit: ref }) {
+    const entry = await redis.hGetAll(ref);
+    if (!entry.count)
+      return { ok: true, data: null }; // the window is over, nothing to update
+    if (!entry.message_id)
+      return { error: "the first notification is not sent yet" }; // retried by the queue
+
+    await redis.hDel(ref, "edit_pending");
+    const text = `${entry.text}${counterSuffix(entry)}`;
+    const media = entry.media === "1";
+    if (text.length > (media ? MAX_CAPTION_LENGTH : MAX_TEXT_LENGTH))
+      return { ok: true, data: null };
+
+    return editNotification(chatId, Number(entry.message_id), text, {
+      media,
+      parse_mode: entry.parse_mode === "plain" ? undefined : entry.parse_mode,
+      reply_markup: entry.reply_markup ? JSON.parse(entry.reply_markup) : undefined,
+    });
+  }
+
+  return { dispatch, onJobChange, deliverEdit };
+}
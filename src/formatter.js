@@ -0,0 +1,285 @@
+import { escapeHtml } from "./html.js";
+
+// the only tags telegram's HTML parse mode knows, after the aliases below
+const TELEGRAM_TAGS = new Set(["b", "i", "u", "s", "a", "code", "pre", "blockquote", "span", "tg-spoiler", "tg-emoji"]);
+const ALIASES = { strong: "b", em: "i", ins: "u", strike: "s", del: "s" };
+const HEADINGS = new Set(["h1", "h2", "h3", "h4", "h5", "h6"]);
+// the only named entities telegram knows, numeric ones all work
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"" };
+const LINK_SCHEMES = /^(?:https?|tg|mailto):/i;
+
+const TOKEN = /<(\/?)([a-z][\w-]*)(\s[^<>]*)?\/?>|&(#\d+|#x[\da-f]+|[a-z]+);/gi;
+const TAG = /<\/?([a-z][\w-]*)(?:\s[^>]*)?>/gi;
+// telegram's limit, notify-payload.js has the same
+const MAX_TEXT_LENGTH = 4096;
+// deeper tags are dropped, so the tags closed and reopened at a cut stay short
+const MAX_DEPTH = 16;
+
+function decodeEntities(text) {
+  return text.replace(/&(#\d+|#x[\da-f]+|[a-z]+);/gi, (entity, name) => {
+    if (name.startsWith("#")) {
+      const code = name[1].toLowerCase() === "x" ? Number.parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function attribute(attrs, name) {
+  for (const [, key, ...values] of attrs.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))/g)) {
+    if (key.toLowerCase() === name)
+      return values.find(value => value !== undefined);
+  }
+}
+
+// telegram's form of an opening tag, null when the tag cannot be kept
+function openingTag(name, attrs, parent) {
+  switch (name) {
+    case "a": {
+      const href = decodeEntities(attribute(attrs, "href") || "");
+      return LINK_SCHEMES.test(href) ? `<a href="${escapeHtml(href)}">` : null;
+    }
+    case "code": {
+      // a language is only allowed on the code block of a pre
+      const language = attribute(attrs, "class");
+      return parent === "pre" && /^language-[\w+#-]+$/.test(language || "") ? `<code class="${language}">` : "<code>";
+    }
+    case "span":
+      return attribute(attrs, "class") === "tg-spoiler" ? "<span class=\"tg-spoiler\">" : null;
+    case "blockquote":
+      return /(?:^|\s)expandable\b/i.test(attrs) ? "<blockquote expandable>" : "<blockquote>";
+    case "tg-emoji": {
+      const id = attribute(attrs, "emoji-id");
+      return /^\d+$/.test(id || "") ? `<tg-emoji emoji-id="${id}">` : null;
+    }
+    default:
+      return `<${name}>`;
+  }
+}
+
+/**
+ * Makes html (usually from a language model) safe for telegram's HTML parse
+ * mode: common aliases become telegram tags, paragraphs, line breaks, lists and
+ * headings become plain text layout, any other tag and every stray `<`, `>` or
+ * `&` is escaped, and tags are closed in order. Inside code everything but the
+ * closing tag is shown as it is written.
+ */
+export function sanitizeHtml(html) {
+  const text = String(html);
+  const stack = [];
+  const dropped = {}; // name ➜ tags dropped for being too deep, whose closing tags are dropped too
+  let out = "";
+  let last = 0;
+
+  const closeTo = (index) => {
+    while (stack.length > index)
+      out += `</${stack.pop().name}>`;
+  };
+
+  for (const match of text.matchAll(TOKEN)) {
+    const [token, slash, rawName, attrs = "", entity] = match;
+    out += escapeHtml(text.slice(last, match.index));
+    last = match.index + token.length;
+
+    if (entity !== undefined) {
+      out += entity.startsWith("#") || ENTITIES[entity.toLowerCase()] ? token : escapeHtml(token);
+      continue;
+    }
+
+    const lower = rawName.toLowerCase();
+    const name = ALIASES[lower] ?? lower;
+    const code = stack.findIndex(open => open.name === "pre" || open.name === "code");
+    if (code >= 0) {
+      const top = stack.at(-1);
+      if (slash && stack.slice(code).some(open => open.name === name)) {
+        closeTo(stack.findLastIndex(open => open.name === name));
+      }
+      // <pre><code class="language-x"> is how telegram takes a code block's language
+      else if (!slash && name === "code" && top.name === "pre" && out.endsWith(top.tag)) {
+        const tag = openingTag(name, attrs, "pre");
+        stack.push({ name, tag });
+        out += tag;
+      }
+      else {
+        out += escapeHtml(token);
+      }
+      continue;
+    }
+
+    if (TELEGRAM_TAGS.has(name)) {
+      if (slash && dropped[name]) {
+        dropped[name]--;
+        continue;
+      }
+      if (slash) {
+        const index = stack.findLastIndex(open => open.name === name);
+        if (index >= 0)
+          closeTo(index);
+        continue;
+      }
+      if (stack.length >= MAX_DEPTH) {
+        dropped[name] = (dropped[name] || 0) + 1;
+        continue;
+      }
+      const tag = openingTag(name, attrs, stack.at(-1)?.name);
+      // a dropped tag's closing tag finds nothing to close and is dropped too
+      if (tag) {
+        stack.push({ name, tag });
+        out += tag;
+      }
+    }
+    else if (name === "br" || name === "hr") {
+      out += "\n";
+    }
+    else if (name === "p" || name === "div") {
+      if (slash)
+        out += "\n\n";
+    }
+    else if (name === "li") {
+      out += slash ? "\n" : "• ";
+    }
+    else if (name === "ul" || name === "ol") {
+      if (!slash)
+        out += "\n";
+    }
+    else if (HEADINGS.has(name)) {
+      if (slash && dropped.heading) {
+        dropped.heading--;
+        out += "\n";
+      }
+      else if (slash) {
+        const index = stack.findLastIndex(open => open.name === "b");
+        if (index >= 0)
+          closeTo(index);
+        out += "\n";
+      }
+      else if (stack.length >= MAX_DEPTH) {
+        dropped.heading = (dropped.heading || 0) + 1;
+      }
+      else {
+        stack.push({ name: "b", tag: "<b>" });
+        out += "<b>";
+      }
+    }
+    else {
+      // "<T>" in a sentence about generics is text, not a tag
+      out += escapeHtml(token);
+    }
+  }
+  out += escapeHtml(text.slice(last));
+  closeTo(0);
+  return out.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// what is left of formatted text without its markup, for resending as plain text
+export function toPlainText(text, parseMode = "HTML") {
+  if (parseMode === "HTML")
+    return decodeEntities(String(text).replace(TAG, ""));
+  if (parseMode === "MarkdownV2")
+    return String(text).replace(/\\([\\_*[\]()~`>#+\-=|{}.!])/g, "$1");
+  return String(text);
+}
+
+// tags still open at the end of html, outermost first, with their opening tag as written
+export function openTags(html) {
+  const stack = [];
+  for (const [tag, name] of html.matchAll(TAG)) {
+    const lower = name.toLowerCase();
+    if (!tag.startsWith("</")) {
+      stack.push({ name: lower, tag });
+      continue;
+    }
+    const index = stack.findLastIndex(open => open.name === lower);
+    if (index >= 0)
+      stack.splice(index);
+  }
+  return stack;
+}
+
+// makes cut or half-written html showable: drops a trailing partial tag or entity and closes what is open
+export function closeHtml(html) {
+  const complete = html.replace(/<[^>]*$/, "").replace(/&#?\w*$/, "");
+  return complete + openTags(complete).reverse().map(open => `</${open.name}>`).join("");
+}
+
+// [separator, cut after it] from the most to the least preferred place to cut
+const CUTS = [["\n\n", true], ["</pre>", true], ["<pre", false], ["\n", true], [" ", true]];
+
+/**
+ * Where to cut html so the first part is at most maxLength long: at the last
+ * paragraph break, code block boundary, line break or space in its second
+ * half, never inside a tag, an entity or a surrogate pair.
+ */
+export function findCut(html, maxLength) {
+  if (html.length <= maxLength)
+    return html.length;
+
+  const isSafe = (i) => {
+    const before = html.slice(0, i);
+    return before.lastIndexOf("<") <= before.lastIndexOf(">") && !/&#?\w*$/.test(before);
+  };
+  for (const [separator, after] of CUTS) {
+    const offset = after ? separator.length : 0;
+    let i = html.lastIndexOf(separator, maxLength - offset);
+    while (i > 0 && !isSafe(i + offset))
+      i = html.lastIndexOf(separator, i - 1);
+    if (i + offset > maxLength / 2)
+      return i + offset;
+  }
+
+  let cut = maxLength;
+  while (cut > 1 && !isSafe(cut))
+    cut--;
+  // a lone high surrogate would break the emoji on both sides
+  const code = html.charCodeAt(cut - 1);
+  return code >= 0xD800 && code <= 0xDBFF ? cut - 1 : cut;
+}
+
+// a tag too long to share a message with its text (a link to a huge url) loses its markup, the text stays
+function dropLongTags(html, maxLength) {
+  const dropped = {};
+  return html.replace(TAG, (tag, name) => {
+    const lower = name.toLowerCase();
+    if (tag.startsWith("</")) {
+      if (!dropped[lower])
+        return tag;
+      dropped[lower]--;
+      return "";
+    }
+    if (tag.length <= maxLength / 2)
+      return tag;
+    dropped[lower] = (dropped[lower] || 0) + 1;
+    return "";
+  });
+}
+
+/**
+ * Splits sanitized html into messages of at most maxLength characters. Tags
+ * open at a cut are closed at the end of one message and reopened at the
+ * start of the next, so a long code block stays a code block on both sides.
+ */
+export function splitHtml(html, maxLength = MAX_TEXT_LENGTH) {
+  const chunks = [];
+  let rest = html.length > maxLength ? dropLongTags(html, maxLength) : html;
+  while (rest.length > maxLength) {
+    // cut earlier until the message fits with the tags it closes
+    let limit = maxLength;
+    let cut = findCut(rest, limit);
+    let chunk = closeHtml(rest.slice(0, cut));
+    while (chunk.length > maxLength && limit > 1) {
+      limit = Math.max(1, limit - (chunk.length - maxLength));
+      cut = findCut(rest, limit);
+      chunk = closeHtml(rest.slice(0, cut));
+    }
+    chunks.push(chunk);
+
+    const tags = openTags(rest.slice(0, cut));
+    const reopened = tags.map(open => open.tag).join("");
+    const closing = tags.map(open => `</${open.name}>`).join("");
+    // tags that would fill most of the next message, or not leave it shorter, are not reopened
+    const prefix = reopened.length < cut && reopened.length + closing.length <= maxLength / 2 ? reopened : "";
+    rest = prefix + rest.slice(cut).replace(/^\n+/, "");
+  }
+  chunks.push(rest);
+  return chunks.filter(chunk => toPlainText(chunk).trim());
+}
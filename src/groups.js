@@ -0,0 +1,81 @@
+import { currentBot } from "./bots.js";
+import { callTelegram } from "./telegram.js";
+
+// bot name ➜ getMe promise
+const users = new Map();
+
+// the current bot's own user, fetched once
+export async function botUser() {
+  const { name } = currentBot();
+  if (!users.has(name)) {
+    users.set(name, callTelegram("getMe").catch((e) => {
+      users.delete(name);
+      throw e;
+    }));
+  }
+  return users.get(name);
+}
+
+export function isGroupChat(chat) {
+  return chat?.type === "group" || chat?.type === "supergroup";
+}
+
+function mentions(text, entities, bot) {
+  return entities.some((entity) => {
+    if (entity.type === "text_mention")
+      return entity.user?.id === bot.id;
+    return entity.type === "mention"
+      && text.slice(entity.offset, entity.offset + entity.length).toLowerCase() === `@${bot.username.toLowerCase()}`;
+  });
+}
+
+/**
+ * The message as the bot should see it, or null when it is not meant for the
+ * bot. In groups that is a message mentioning the bot, replying to one of its
+ * messages or starting with a command addressed to it (`/help@botname`);
+ * commands without the suffix may be for another bot. The `@botname` suffix
+ * and mentions are taken out of the text or caption.
+ */
+export async function addressedMessage(message) {
+  if (!message)
+    return null;
+  const bot = await botUser();
+  const field = message.text !== undefined ? "text" : "caption";
+  const text = message[field] ?? "";
+  const entities = (field === "text" ? message.entities : message.caption_entities) ?? [];
+
+  const command = entities.find(entity => entity.type === "bot_command" && entity.offset === 0);
+  const target = command && text.slice(0, command.length).split("@")[1];
+  if (target && target.toLowerCase() !== bot.username.toLowerCase())
+    return null;
+
+  const addressed = !isGroupChat(message.chat)
+    || Boolean(target)
+    || message.reply_to_message?.from?.id === bot.id
+    || mentions(text, entities, bot);
+  if (!addressed)
+    return null;
+
+  const cleaned = text
+    .replace(new RegExp(`^(/\\w+)@${bot.username}`, "i"), "$1")
+    .replace(new RegExp(`@${bot.username}\\b`, "gi"), "")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+  // a bare mention is still a message for the bot
+  return message[field] === undefined ? message : { ...message, [field]: cleaned || text };
+}
+
+// whether the sender may change the group's settings
+export async function isGroupAdmin(message) {
+  // anonymous admins post as the group itself, a linked channel posts as the channel
+  if (message.sender_chat)
+    return message.sender_chat.id === message.chat.id;
+  try {
+    const member = await callTelegram("getChatMember", { chat_id: message.chat.id, user_id: message.from.id });
+    return member.status === "creator" || member.status === "administrator";
+  }
+  catch (e) {
+    console.warn("⚠️ Failed to check group admin status:", e.response?.data?.description || e.message);
+    return false;
+  }
+}
@@ -0,0 +1,78 @@
+import process from "node:process";
+import express from "express";
+import { METRICS_TOKEN } from "./config.js";
+import { registry } from "./metrics.js";
+import { callTelegram } from "./telegram.js";
+
+const CHECK_TIMEOUT_MS = 3000;
+// getMe is asked again after this long, probes come every few seconds
+const TELEGRAM_CHECK_TTL_MS = 60 * 1000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Probes for docker and monitoring:
+ * - GET /healthz answers while the process runs (liveness),
+ * - GET /readyz checks redis, the PocketBase login and telegram's getMe and
+ *   answers 503 naming what failed (readiness),
+ * - GET /metrics serves the prometheus metrics, behind METRICS_TOKEN when set.
+ *
+ * `authenticate()` logs PocketBase in again when its token is missing or expired.
+ */
+export function createHealthRouter({ redis, pb, authenticate }) {
+  let telegramCheckedAt = 0;
+
+  const checks = {
+    redis: () => redis.ping(),
+    async pocketbase() {
+      // a refresh proves the token is still accepted, an expired one needs a new login
+      if (pb.authStore.isValid)
+        await pb.collection("_superusers").authRefresh();
+      else
+        await authenticate();
+    },
+    async telegram() {
+      if (Date.now() - telegramCheckedAt < TELEGRAM_CHECK_TTL_MS)
+        return;
+      await callTelegram("getMe");
+      telegramCheckedAt = Date.now();
+    },
+  };
+
+  const router = express.Router();
+
+  router.get("/healthz", (req, res) => {
+    res.json({ ok: true, uptime: Math.round(process.uptime()) });
+  });
+
+  router.get("/readyz", async (req, res) => {
+    const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      try {
+        await withTimeout(check(), CHECK_TIMEOUT_MS);
+        return [name, "ok"];
+      }
+      catch (e) {
+        return [name, e.response?.data?.description || e.message];
+      }
+    }));
+    const ok = results.every(([, result]) => result === "ok");
+    if (!ok)
+      console.warn("⚠️ Readiness check failed:", Object.fromEntries(results.filter(([, result]) => result !== "ok")));
+    res.status(ok ? 200 : 503).json({ ok, checks: Object.fromEntries(results) });
+  });
+
+  router.get("/metrics", async (req, res) => {
+    if (METRICS_TOKEN && req.header("Authorization") !== `Bearer ${METRICS_TOKEN}`)
+      return res.sendStatus(401);
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  });
+
+  return router;
+}
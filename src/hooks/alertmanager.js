@@ -0,0 +1,84 @@
+import { escapeHtml } from "../html.js";
+import { MAX_TEXT_LENGTH } from "../notify-payload.js";
+
+const SEVERITY_ICONS = { critical: "🔴", error: "🔴", warning: "🟠", info: "🔵" };
+
+function describeAlert(alert, details) {
+  const labels = alert.labels || {};
+  const annotations = alert.annotations || {};
+  const icon = alert.status === "resolved" ? "✅" : SEVERITY_ICONS[labels.severity] || "🔥";
+  const where = labels.instance || labels.job || labels.service;
+
+  let line = `${icon} <b>${escapeHtml(labels.alertname || "alert")}</b>`;
+  if (where)
+    line += ` on <code>${escapeHtml(where)}</code>`;
+  const summary = annotations.summary || annotations.description;
+  if (summary)
+    line += `\n   ${escapeHtml(summary)}`;
+  if (details)
+    line += details(alert);
+  return line;
+}
+
+/**
+ * Renders alertmanager style alerts as one message with a firing and a
+ * resolved section, dropping alerts that would not fit into telegram's limit.
+ * `details(alert)` may append extra html per alert.
+ */
+export function formatAlerts({ title, alerts, details }) {
+  const firing = alerts.filter(alert => alert.status !== "resolved");
+  const resolved = alerts.filter(alert => alert.status === "resolved");
+
+  const sections = [`<b>${escapeHtml(title)}</b>`];
+  let length = sections[0].length;
+  let dropped = 0;
+
+  for (const [heading, group] of [[`🔥 Firing (${firing.length})`, firing], [`✅ Resolved (${resolved.length})`, resolved]]) {
+    if (group.length === 0)
+      continue;
+    const lines = [`\n<b>${heading}</b>`];
+    length += lines[0].length;
+    for (const alert of group) {
+      const line = describeAlert(alert, details);
+      // leave room for the "…and n more" line
+      if (length + line.length + 1 > MAX_TEXT_LENGTH - 40) {
+        dropped++;
+        continue;
+      }
+      lines.push(line);
+      length += line.length + 1;
+    }
+    sections.push(lines.join("\n"));
+  }
+
+  if (dropped > 0)
+    sections.push(`\n…and ${dropped} more alerts`);
+  return sections.join("\n");
+}
+
+// alertmanager has no signatures, configure http_config.authorization with an api key
+export default {
+  name: "alertmanager",
+
+  format(req) {
+    const payload = req.body;
+    if (!Array.isArray(payload?.alerts))
+      throw new Error("expected an alertmanager webhook payload with alerts");
+    if (payload.alerts.length === 0)
+      return null;
+
+    const group = payload.groupLabels?.alertname || payload.commonLabels?.alertname || Object.values(payload.groupLabels || {}).join(", ");
+    const title = `Alertmanager${group ? `: ${group}` : ""}`;
+    const hasFiring = payload.alerts.some(alert => alert.status !== "resolved");
+
+    return {
+      text: formatAlerts({ title, alerts: payload.alerts }),
+      buttons: payload.externalURL ? [{ text: "Open Alertmanager", url: payload.externalURL }] : undefined,
+      // resolved-only groups do not need to wake anyone up
+      disable_notification: !hasFiring,
+      // firing groups are sent as new messages, resolving edits the last one in place
+      external_id: typeof payload.groupKey === "string" && payload.groupKey ? payload.groupKey.slice(0, 256) : undefined,
+      resolved: !hasFiring,
+    };
+  },
+};
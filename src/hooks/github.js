@@ -0,0 +1,141 @@
+import { GITHUB_WEBHOOK_SECRET } from "../config.js";
+import { escapeHtml } from "../html.js";
+import { verifyHmac } from "./signature.js";
+
+const MAX_COMMITS = 5;
+const MAX_EXCERPT_LENGTH = 300;
+
+function link(url, label) {
+  return url ? `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>` : escapeHtml(label);
+}
+
+function excerpt(text) {
+  const value = (text || "").trim();
+  return value.length > MAX_EXCERPT_LENGTH ? `${value.slice(0, MAX_EXCERPT_LENGTH)}…` : value;
+}
+
+function formatPush(payload) {
+  const repo = payload.repository.full_name;
+  const ref = payload.ref.replace(/^refs\/(?:heads|tags)\//, "");
+  const who = escapeHtml(payload.pusher?.name || payload.sender?.login);
+
+  if (payload.deleted)
+    return { text: `🗑 <b>${who}</b> deleted <code>${escapeHtml(ref)}</code> in <b>${escapeHtml(repo)}</b>` };
+
+  const commits = payload.commits || [];
+  const lines = [`📦 <b>${who}</b> pushed ${commits.length} commit${commits.length === 1 ? "" : "s"} to <b>${escapeHtml(repo)}</b>:<code>${escapeHtml(ref)}</code>`];
+  for (const commit of commits.slice(0, MAX_COMMITS)) {
+    const message = commit.message.split("\n")[0];
+    lines.push(`• ${link(commit.url, commit.id.slice(0, 7))} ${escapeHtml(excerpt(message))}`);
+  }
+  if (commits.length > MAX_COMMITS)
+    lines.push(`…and ${commits.length - MAX_COMMITS} more`);
+
+  return {
+    text: lines.join("\n"),
+    buttons: payload.compare ? [{ text: "Compare", url: payload.compare }] : undefined,
+  };
+}
+
+function formatPullRequest(payload) {
+  const pr = payload.pull_request;
+  let action = payload.action;
+  if (action === "closed")
+    action = pr.merged ? "merged" : "closed";
+  if (!["opened", "reopened", "ready_for_review", "merged", "closed"].includes(action))
+    return null;
+
+  const icons = { opened: "🔀", reopened: "🔀", ready_for_review: "👀", merged: "🟣", closed: "⛔️" };
+  return {
+    text: `${icons[action]} PR <b>#${pr.number} ${escapeHtml(pr.title)}</b> ${action.replace(/_/g, " ")} by ${escapeHtml(payload.sender.login)} in <b>${escapeHtml(payload.repository.full_name)}</b>`,
+    buttons: [{ text: "Open pull request", url: pr.html_url }],
+  };
+}
+
+function formatIssue(payload) {
+  if (!["opened", "closed", "reopened"].includes(payload.action))
+    return null;
+  const issue = payload.issue;
+  const icons = { opened: "🐛", closed: "✅", reopened: "🔁" };
+  return {
+    text: `${icons[payload.action]} Issue <b>#${issue.number} ${escapeHtml(issue.title)}</b> ${payload.action} by ${escapeHtml(payload.sender.login)} in <b>${escapeHtml(payload.repository.full_name)}</b>`,
+    buttons: [{ text: "Open issue", url: issue.html_url }],
+  };
+}
+
+function formatIssueComment(payload) {
+  if (payload.action !== "created")
+    return null;
+  const { issue, comment } = payload;
+  return {
+    text: `💬 <b>${escapeHtml(comment.user.login)}</b> commented on <b>#${issue.number} ${escapeHtml(issue.title)}</b>\n\n${escapeHtml(excerpt(comment.body))}`,
+    buttons: [{ text: "Open comment", url: comment.html_url }],
+  };
+}
+
+function formatRelease(payload) {
+  if (payload.action !== "published")
+    return null;
+  const release = payload.release;
+  return {
+    text: `🚀 <b>${escapeHtml(payload.repository.full_name)}</b> released <b>${escapeHtml(release.name || release.tag_name)}</b>`,
+    buttons: [{ text: "Release notes", url: release.html_url }],
+  };
+}
+
+function formatWorkflowRun(payload) {
+  if (payload.action !== "completed")
+    return null;
+  const run = payload.workflow_run;
+  const icon = run.conclusion === "success" ? "✅" : run.conclusion === "cancelled" ? "⚪️" : "❌";
+  return {
+    text: `${icon} Workflow <b>${escapeHtml(run.name)}</b> ${escapeHtml(run.conclusion)} on <code>${escapeHtml(run.head_branch)}</code> in <b>${escapeHtml(payload.repository.full_name)}</b>`,
+    buttons: [{ text: "Open run", url: run.html_url }],
+  };
+}
+
+function formatDeploymentStatus(payload) {
+  const { deployment_status: status, deployment } = payload;
+  const icons = { success: "✅", failure: "❌", error: "❌", in_progress: "⏳", queued: "⏳", pending: "⏳", inactive: "⚪️" };
+  return {
+    text: `${icons[status.state] || "📣"} Deployment to <b>${escapeHtml(deployment.environment)}</b> ${escapeHtml(status.state)} in <b>${escapeHtml(payload.repository.full_name)}</b>`,
+    buttons: status.target_url ? [{ text: "Open deployment", url: status.target_url }] : undefined,
+  };
+}
+
+const FORMATTERS = {
+  push: formatPush,
+  pull_request: formatPullRequest,
+  issues: formatIssue,
+  issue_comment: formatIssueComment,
+  release: formatRelease,
+  workflow_run: formatWorkflowRun,
+  deployment_status: formatDeploymentStatus,
+};
+
+// github signs every delivery with X-Hub-Signature-256 when the webhook has a secret
+export default {
+  name: "github",
+
+  verify(req) {
+    if (!GITHUB_WEBHOOK_SECRET)
+      return undefined;
+    return verifyHmac(GITHUB_WEBHOOK_SECRET, req.rawBody, req.header("X-Hub-Signature-256"), "sha256=");
+  },
+
+  format(req) {
+    const event = req.header("X-GitHub-Event");
+    const payload = req.body;
+    const repo = payload.repository?.full_name || payload.organization?.login || "GitHub";
+
+    if (event === "ping")
+      return { text: `🏓 GitHub webhook connected for <b>${escapeHtml(repo)}</b>` };
+
+    const formatter = FORMATTERS[event];
+    if (formatter)
+      return formatter(payload);
+
+    const action = payload.action ? ` (${escapeHtml(payload.action)})` : "";
+    return { text: `📣 GitHub <b>${escapeHtml(event || "unknown")}</b>${action} event in <b>${escapeHtml(repo)}</b>` };
+  },
+};
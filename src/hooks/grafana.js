@@ -0,0 +1,65 @@
+import { GRAFANA_WEBHOOK_SECRET } from "../config.js";
+import { escapeHtml } from "../html.js";
+import { formatAlerts } from "./alertmanager.js";
+import { verifyHmac } from "./signature.js";
+
+// grafana signs "timestamp:body" when a timestamp header is configured, else the body
+function signedPayload(req) {
+  const timestamp = req.header("X-Grafana-Alerting-Timestamp");
+  return timestamp ? `${timestamp}:${req.rawBody}` : req.rawBody;
+}
+
+function grafanaDetails(alert) {
+  const extras = [];
+  if (alert.valueString)
+    extras.push(`<code>${escapeHtml(alert.valueString)}</code>`);
+  if (alert.panelURL || alert.dashboardURL)
+    extras.push(`<a href="${escapeHtml(alert.panelURL || alert.dashboardURL)}">panel</a>`);
+  if (alert.status !== "resolved" && alert.silenceURL)
+    extras.push(`<a href="${escapeHtml(alert.silenceURL)}">silence</a>`);
+  return extras.length > 0 ? `\n   ${extras.join(" · ")}` : "";
+}
+
+// grafana before unified alerting sent a single rule with evalMatches
+function formatLegacy(payload) {
+  const icon = payload.state === "ok" ? "✅" : payload.state === "alerting" ? "🔥" : "⚠️";
+  const lines = [`${icon} <b>${escapeHtml(payload.title || payload.ruleName)}</b>`];
+  if (payload.message)
+    lines.push(escapeHtml(payload.message));
+  for (const match of payload.evalMatches || [])
+    lines.push(`• ${escapeHtml(match.metric)}: <code>${escapeHtml(match.value)}</code>`);
+  return {
+    text: lines.join("\n"),
+    buttons: payload.ruleUrl ? [{ text: "Open in Grafana", url: payload.ruleUrl }] : undefined,
+  };
+}
+
+// verified with the contact point's hmac signature, or an api key when no secret is set
+export default {
+  name: "grafana",
+
+  verify(req) {
+    if (!GRAFANA_WEBHOOK_SECRET)
+      return undefined;
+    return verifyHmac(GRAFANA_WEBHOOK_SECRET, signedPayload(req), req.header("X-Grafana-Alerting-Signature"));
+  },
+
+  format(req) {
+    const payload = req.body;
+    if (!payload || typeof payload !== "object")
+      throw new Error("expected a grafana webhook payload");
+    if (!Array.isArray(payload.alerts))
+      return formatLegacy(payload);
+    if (payload.alerts.length === 0)
+      return null;
+
+    const hasFiring = payload.alerts.some(alert => alert.status !== "resolved");
+    return {
+      text: formatAlerts({ title: payload.title || "Grafana", alerts: payload.alerts, details: grafanaDetails }),
+      buttons: payload.externalURL ? [{ text: "Open Grafana", url: payload.externalURL }] : undefined,
+      disable_notification: !hasFiring,
+      external_id: typeof payload.groupKey === "string" && payload.groupKey ? payload.groupKey.slice(0, 256) : undefined,
+      resolved: !hasFiring,
+    };
+  },
+};
@@ -0,0 +1,99 @@
+import express from "express";
+import { parseNotifyPayload } from "../notify-payload.js";
+import alertmanager from "./alertmanager.js";
+import github from "./github.js";
+import grafana from "./grafana.js";
+
+const adapters = new Map();
+
+/**
+ * Registers an incoming webhook adapter, served at POST /hooks/<name>.
+ * An adapter is `{ name, verify?(req), format(req) }`:
+ * - `verify` returns true for a valid signature and false for a bad one.
+ *   Adapters without it (or returning undefined because no secret is
+ *   configured) need an api key with the notify scope instead.
+ * - `format` turns the tool's payload into a /notify body
+ *   (`{ text, buttons, disable_notification, external_id, … }` in HTML) or
+ *   returns null for events that should not be sent. Throwing rejects the
+ *   payload. A body with an external_id is always sent as a new message,
+ *   unless it has `resolved: true`: then it updates the last message of its
+ *   external_id, and the next body with it is sent as a new message again.
+ * `req.rawBody` holds the unparsed body for signature checks.
+ */
+export function registerHookAdapter(adapter) {
+  if (!adapter?.name || typeof adapter.format !== "function")
+    throw new Error("a hook adapter needs a name and a format function");
+  adapters.set(adapter.name, adapter);
+}
+
+[github, alertmanager, grafana].forEach(registerHookAdapter);
+
+function targetChats(query) {
+  const { chat_id: chatId } = query;
+  if (typeof chatId !== "string" || !chatId)
+    return undefined;
+  return chatId.includes(",") ? chatId.split(",").map(id => id.trim()) : chatId;
+}
+
+/**
+ * Router for /hooks/:name. Formatted messages go to `?chat_id=` (comma
+ * separated for several chats) or CHAT_ID, through the same queue as /notify,
+ * sent by the bot named in `?bot=` or the default one. `forget(chatId, value,
+ * { caller })` drops what the value's external_id stands for in the chat.
+ */
+export function createHooksRouter({ requireApiKey, forbiddenChats, dispatch, forget }) {
+  const router = express.Router();
+
+  router.post("/:name", (req, res, next) => {
+    const adapter = adapters.get(req.params.name);
+    if (!adapter)
+      return res.status(404).json({ error: `no hook adapter named "${req.params.name}"` });
+
+    const verified = adapter.verify?.(req);
+    if (verified === false)
+      return res.status(401).json({ error: "invalid signature" });
+    req.hookAdapter = adapter;
+    if (verified === true)
+      return next();
+    requireApiKey("notify")(req, res, next);
+  }, async (req, res) => {
+    const adapter = req.hookAdapter;
+
+    let body;
+    try {
+      body = adapter.format(req);
+    }
+    catch (e) {
+      return res.status(400).json({ error: `unsupported ${adapter.name} payload: ${e.message}` });
+    }
+    if (!body)
+      return res.json({ ok: true, ignored: true });
+
+    const { resolved, ...notifyBody } = body;
+    const { value, errors } = parseNotifyPayload({ ...notifyBody, chat_id: targetChats(req.query), bot: req.query.bot });
+    if (errors)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+
+    if (req.apiKey) {
+      const forbidden = forbiddenChats(req.apiKey, value.chatIds);
+      if (forbidden.length > 0)
+        return res.status(403).json({ error: "chat not allowed for this api key", chat_ids: forbidden });
+    }
+
+    const caller = req.caller || `hook:${adapter.name}`;
+    const jobs = [];
+    for (const chatId of value.chatIds) {
+      // an edit does not notify anyone, so only a resolution may replace the message it resolves
+      if (value.externalId && !resolved)
+        await forget(chatId, value, { caller });
+      const { job, ...folded } = await dispatch(chatId, value, { caller });
+      if (value.externalId && resolved)
+        await forget(chatId, value, { caller });
+      jobs.push({ chat_id: chatId, job_id: job?.id, ...folded });
+    }
+
+    res.status(202).json({ ok: true, jobs });
+  });
+
+  return router;
+}
@@ -0,0 +1,11 @@
+import { Buffer } from "node:buffer";
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+// compares a hex hmac-sha256 signature of payload in constant time
+export function verifyHmac(secret, payload, signature, prefix = "") {
+  if (!signature || !payload)
+    return false;
+  const expected = Buffer.from(`${prefix}${createHmac("sha256", secret).update(payload).digest("hex")}`);
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,4 @@
+// escapes text for telegram's HTML parse mode, quotes matter inside href attributes
+export function escapeHtml(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
@@ -0,0 +1,39 @@
+import { LLM_PROVIDER } from "../config.js";
+import openai from "./openai.js";
+import promptApi from "./prompt-api.js";
+
+const providers = new Map();
+
+/**
+ * Registers an LLM provider that answers chat messages.
+ * A provider is `{ name, configured, history, chat(request, { onText }) }`:
+ * - `chat` gets `{ chatId, systemPrompt, prompt, images, threadId, history }`
+ *   and resolves with `{ response, threadId?, streamed }`. With
+ *   `onText(textSoFar)` it may stream the answer as it is written.
+ * - `history: true` providers are sent the thread's earlier messages from
+ *   PocketBase as `[{ role, content }]`, oldest first, under a thread id the
+ *   bot makes up. Others keep the conversation themselves and return the
+ *   thread id to continue it with.
+ * - `configured: false` providers cannot be chosen, their settings are missing.
+ */
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.chat !== "function")
+    throw new Error("an llm provider needs a name and a chat function");
+  providers.set(provider.name, provider);
+}
+
+[promptApi, openai].forEach(registerProvider);
+
+// names of the providers users can choose from
+export function providerNames() {
+  return [...providers.values()].filter(provider => provider.configured).map(provider => provider.name);
+}
+
+// the named provider when it can be used, otherwise the deployment's LLM_PROVIDER, null when that is not configured either
+export function getProvider(name) {
+  const chosen = name && providers.get(name);
+  if (chosen?.configured)
+    return chosen;
+  const fallback = providers.get(LLM_PROVIDER);
+  return fallback?.configured ? fallback : null;
+}
@@ -0,0 +1,59 @@
+import { Buffer } from "node:buffer";
+import axios from "axios";
+import { GPT_STREAM, OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL } from "../config.js";
+import { readAll, readTextStream } from "./stream.js";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+// telegram file urls carry the bot token, so images are sent inline instead of linked
+async function toDataUrl(url) {
+  const res = await axios.get(url, { responseType: "arraybuffer" });
+  const type = String(res.headers["content-type"] || "image/jpeg").split(";")[0];
+  return `data:${type};base64,${Buffer.from(res.data).toString("base64")}`;
+}
+
+async function userMessage(prompt, images) {
+  if (images.length === 0)
+    return { role: "user", content: prompt };
+  const urls = await Promise.all(images.map(toDataUrl));
+  return {
+    role: "user",
+    content: [{ type: "text", text: prompt }, ...urls.map(url => ({ type: "image_url", image_url: { url } }))],
+  };
+}
+
+/**
+ * Any OpenAI compatible chat completions api: OpenAI itself, or a local
+ * Ollama (`http://localhost:11434/v1`), llama.cpp or vLLM server set as
+ * OPENAI_BASE_URL. The api keeps no state, every request carries the
+ * conversation so far from PocketBase.
+ */
+export default {
+  name: "openai",
+  configured: Boolean(OPENAI_BASE_URL || OPENAI_API_KEY),
+  history: true,
+
+  async chat({ systemPrompt, prompt, images, history }, { onText } = {}) {
+    const messages = [
+      ...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []),
+      ...history,
+      await userMessage(prompt, images),
+    ];
+    const stream = GPT_STREAM && Boolean(onText);
+    const res = await axios.post(`${(OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "")}/chat/completions`, {
+      model: OPENAI_MODEL,
+      messages,
+      stream,
+    }, {
+      headers: OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {},
+      responseType: "stream",
+    });
+
+    if (!stream || String(res.headers["content-type"] || "").includes("application/json")) {
+      const body = JSON.parse(await readAll(res.data));
+      return { response: body.choices?.[0]?.message?.content ?? "", streamed: false };
+    }
+    const { response } = await readTextStream(res, onText);
+    return { response, streamed: true };
+  },
+};
@@ -0,0 +1,68 @@
+import axios from "axios";
+import { ERKUT_API_KEY, GPT_BASE_URL, GPT_STREAM } from "../config.js";
+import { llmRetries } from "../metrics.js";
+import { readAll, readTextStream } from "./stream.js";
+
+// the backend answers this until it has looked at the images, asking again on the thread gets the answer
+const ANALYZING_IMAGE = "Analyzing image";
+const IMAGE_POLL_ATTEMPTS = 3;
+const IMAGE_POLL_DELAY_MS = 10 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends a prompt to `${GPT_BASE_URL}/api/prompt` and resolves with
+ * `{ response, threadId, streamed }`. With `onText(textSoFar)` the backend is
+ * asked to stream (`stream: true`); a plain json answer means the backend
+ * cannot stream and is returned as it is.
+ */
+async function requestPrompt(payload, { onText } = {}) {
+  const stream = GPT_STREAM && Boolean(onText);
+  const res = await axios.post(`${GPT_BASE_URL}/api/prompt`, stream ? { ...payload, stream } : payload, {
+    headers: {
+      "ERKUT-API-KEY": ERKUT_API_KEY,
+      "Accept": stream ? "text/event-stream, application/x-ndjson, application/json" : "application/json",
+    },
+    responseType: "stream",
+  });
+
+  if (!stream || String(res.headers["content-type"] || "").includes("application/json"))
+    return { ...JSON.parse(await readAll(res.data)), streamed: false };
+  return { ...await readTextStream(res, onText), streamed: true };
+}
+
+/**
+ * The GPT API at GPT_BASE_URL, which keeps each conversation itself under the
+ * thread id it returns.
+ */
+export default {
+  name: "prompt-api",
+  configured: Boolean(GPT_BASE_URL),
+  history: false,
+
+  async chat({ chatId, systemPrompt, prompt, images, threadId }, { onText } = {}) {
+    const payload = {
+      systemPrompt,
+      prompt,
+      images: images.length > 0 ? images : undefined,
+      options: {
+        reason: false,
+        search: false,
+        threadId,
+      },
+    };
+
+    let result = await requestPrompt(payload, { onText });
+    for (let attempt = 1; result.response === ANALYZING_IMAGE && attempt <= IMAGE_POLL_ATTEMPTS; attempt++) {
+      console.warn(`⏳ Image analysis in progress for chat ${chatId} (attempt ${attempt}). Waiting 10s...`);
+      if (result.threadId) {
+        payload.options.threadId = result.threadId;
+        delete payload.images; // no need to send the images again for polling
+      }
+      await sleep(IMAGE_POLL_DELAY_MS);
+      llmRetries.inc({ provider: "prompt-api" });
+      result = await requestPrompt(payload, { onText });
+    }
+    return result;
+  },
+};
@@ -0,0 +1,82 @@
+import { Buffer } from "node:buffer";
+import { StringDecoder } from "node:string_decoder";
+
+// the first of these a streamed json chunk carries is the new text
+function deltaOf(event) {
+  return event.delta ?? event.content ?? event.text ?? event.choices?.[0]?.delta?.content;
+}
+
+export async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream)
+    chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Reads a streamed axios response (`responseType: "stream"`) of server-sent
+ * events, newline delimited json or plain chunked text, calling
+ * `onText(textSoFar)` as the answer grows. Resolves with
+ * `{ response, threadId }`; json events may carry a delta (OpenAI style
+ * `choices[0].delta.content` too), the whole `response` so far or the
+ * `threadId`, plain text takes the thread id from an `X-Thread-Id` header.
+ */
+export async function readTextStream(res, onText) {
+  const type = String(res.headers["content-type"] || "");
+  const ndjson = type.includes("ndjson");
+  const events = ndjson || type.includes("text/event-stream");
+  const decoder = new StringDecoder("utf8");
+  let response = "";
+  let threadId = res.headers["x-thread-id"];
+  let pending = "";
+
+  // a json event may add a delta, replace the whole response or tell the thread id
+  const apply = (data) => {
+    if (data === "[DONE]")
+      return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    }
+    catch {
+      response += data;
+      return;
+    }
+    if (typeof event !== "object" || event === null) {
+      response += String(event);
+      return;
+    }
+    threadId = event.threadId ?? threadId;
+    if (typeof event.response === "string")
+      response = event.response;
+    else if (typeof deltaOf(event) === "string")
+      response += deltaOf(event);
+  };
+
+  for await (const chunk of res.data) {
+    const text = decoder.write(chunk);
+    if (!events) {
+      response += text;
+    }
+    else {
+      pending += text;
+      // sse events end with a blank line, ndjson events with a newline
+      const parts = pending.split(ndjson ? "\n" : /\r?\n\r?\n/);
+      pending = parts.pop();
+      for (const part of parts) {
+        const data = ndjson
+          ? part.trim()
+          : part.split(/\r?\n/).filter(line => line.startsWith("data:")).map(line => line.slice(5).trimStart()).join("\n");
+        if (data)
+          apply(data);
+      }
+    }
+    onText(response);
+  }
+  if (!events)
+    response += decoder.end();
+  else if (pending.trim())
+    apply(pending.trim().replace(/^data:\s*/, ""));
+
+  return { response, threadId };
+}
@@ -0,0 +1,208 @@
+import { Buffer } from "node:buffer";
+import axios from "axios";
+import multer from "multer";
+
+const MB = 1024 * 1024;
+
+export const MAX_CAPTION_LENGTH = 1024;
+export const MAX_ALBUM_SIZE = 10;
+export const ATTACHMENT_TYPES = ["photo", "document"];
+
+// bot api limits: uploaded files vs files telegram downloads from a url
+const UPLOAD_LIMITS = { photo: 10 * MB, document: 50 * MB };
+const URL_LIMITS = { photo: 5 * MB, document: 20 * MB };
+
+// the only image types sendPhoto accepts, everything else goes out as a document
+const PHOTO_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const PHOTO_EXTENSIONS = /\.(?:jpe?g|png|webp)$/i;
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / MB * 10) / 10} MB`;
+}
+
+function inferType(mimeType, filename) {
+  if (PHOTO_MIME_TYPES.includes(mimeType))
+    return "photo";
+  if (!mimeType && PHOTO_EXTENSIONS.test(filename || ""))
+    return "photo";
+  return "document";
+}
+
+function checkUploadSize(attachment, path, errors) {
+  const limit = UPLOAD_LIMITS[attachment.type];
+  if (attachment.buffer.length === 0)
+    errors[path] = "file is empty";
+  else if (attachment.buffer.length > limit)
+    errors[path] = `${attachment.type} is ${formatSize(attachment.buffer.length)}, telegram accepts at most ${formatSize(limit)}`;
+}
+
+// decodes a raw or data-url base64 string, returns null when it is not valid base64
+function decodeBase64(value) {
+  const match = /^data:([\w.+-]+\/[\w.+-]+);base64,(.*)$/s.exec(value);
+  const data = (match ? match[2] : value).replace(/\s/g, "");
+  if (!data || !/^[A-Z0-9+/]+={0,2}$/i.test(data))
+    return null;
+  return { buffer: Buffer.from(data, "base64"), mimeType: match?.[1] };
+}
+
+function parseAttachment(item, path, errors) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    errors[path] = "must be an object with a url or base64 field";
+    return null;
+  }
+  if (item.type !== undefined && !ATTACHMENT_TYPES.includes(item.type)) {
+    errors[`${path}.type`] = `must be one of ${ATTACHMENT_TYPES.join(", ")}`;
+    return null;
+  }
+  if ((item.url === undefined) === (item.base64 === undefined)) {
+    errors[path] = "must have exactly one of url or base64";
+    return null;
+  }
+  if (item.filename !== undefined && (typeof item.filename !== "string" || !item.filename.trim())) {
+    errors[`${path}.filename`] = "must be a non-empty string";
+    return null;
+  }
+
+  if (item.url !== undefined) {
+    if (typeof item.url !== "string" || !/^https?:\/\/\S+$/.test(item.url)) {
+      errors[`${path}.url`] = "must be an http(s) url";
+      return null;
+    }
+    let pathname = "";
+    try {
+      pathname = new URL(item.url).pathname;
+    }
+    catch {
+      errors[`${path}.url`] = "must be an http(s) url";
+      return null;
+    }
+    return { type: item.type || inferType(undefined, pathname), url: item.url };
+  }
+
+  const decoded = typeof item.base64 === "string" ? decodeBase64(item.base64) : null;
+  if (!decoded) {
+    errors[`${path}.base64`] = "must be a base64 string or data url";
+    return null;
+  }
+  const mimeType = item.mime_type || decoded.mimeType || "application/octet-stream";
+  const filename = item.filename || "file";
+  const attachment = {
+    type: item.type || inferType(decoded.mimeType || item.mime_type, filename),
+    buffer: decoded.buffer,
+    filename,
+    mimeType,
+  };
+  checkUploadSize(attachment, `${path}.base64`, errors);
+  return attachment;
+}
+
+// files uploaded as "photo" or "document" keep that type, any other field name is inferred
+function fromUploadedFile(file, path, errors) {
+  const attachment = {
+    type: ATTACHMENT_TYPES.includes(file.fieldname) ? file.fieldname : inferType(file.mimetype, file.originalname),
+    buffer: file.buffer,
+    filename: file.originalname || "file",
+    mimeType: file.mimetype,
+  };
+  checkUploadSize(attachment, path, errors);
+  return attachment;
+}
+
+/**
+ * Collects the attachments of a /notify request from the json `attachments`
+ * field and from multipart uploads, and checks the sizes we already know.
+ */
+export function parseAttachments(items, files, errors) {
+  const attachments = [];
+
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0) {
+      errors.attachments = "must be a non-empty array";
+      return attachments;
+    }
+    items.forEach((item, i) => {
+      const attachment = parseAttachment(item, `attachments[${i}]`, errors);
+      if (attachment)
+        attachments.push(attachment);
+    });
+  }
+
+  files.forEach((file, i) => {
+    attachments.push(fromUploadedFile(file, `files[${i}]`, errors));
+  });
+
+  if (attachments.length > MAX_ALBUM_SIZE)
+    errors.attachments = `must contain at most ${MAX_ALBUM_SIZE} files`;
+  else if (attachments.length > 1 && new Set(attachments.map(a => a.type)).size > 1)
+    errors.attachments = "an album cannot mix photos and documents";
+
+  return attachments;
+}
+
+/**
+ * Asks the remote servers how big the url attachments are, so oversized files
+ * fail here instead of inside telegram. Servers that do not answer are skipped.
+ */
+export async function checkRemoteSizes(attachments) {
+  const errors = {};
+  await Promise.all(attachments.map(async (attachment, i) => {
+    if (!attachment.url)
+      return;
+    try {
+      const res = await axios.head(attachment.url, { timeout: 5000, maxRedirects: 3 });
+      const size = Number(res.headers["content-length"]);
+      const limit = URL_LIMITS[attachment.type];
+      if (size > limit)
+        errors[`attachments[${i}].url`] = `${attachment.type} is ${formatSize(size)}, telegram downloads at most ${formatSize(limit)} from a url`;
+    }
+    catch { /* let telegram decide */ }
+  }));
+  return errors;
+}
+
+// form fields arrive as strings, turn them back into the json body shape
+function normalizeFormFields(body) {
+  const normalized = { ...body };
+  if (typeof normalized.chat_id === "string" && normalized.chat_id.includes(","))
+    normalized.chat_id = normalized.chat_id.split(",").map(id => id.trim());
+  for (const field of ["disable_notification", "protect_content", "callback_edit"]) {
+    if (normalized[field] === "true" || normalized[field] === "false")
+      normalized[field] = normalized[field] === "true";
+  }
+  for (const field of ["reply_to_message_id", "dedup_window"]) {
+    if (typeof normalized[field] === "string" && normalized[field])
+      normalized[field] = Number(normalized[field]);
+  }
+  for (const field of ["buttons", "attachments", "vars"]) {
+    if (typeof normalized[field] === "string") {
+      try {
+        normalized[field] = JSON.parse(normalized[field]);
+      }
+      catch { /* left as a string, validation reports it */ }
+    }
+  }
+  return normalized;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_LIMITS.document, files: MAX_ALBUM_SIZE },
+});
+
+// parses multipart/form-data uploads, other content types pass through untouched
+export function parseUpload(req, res, next) {
+  if (!req.is("multipart/form-data"))
+    return next();
+
+  upload.any()(req, res, (err) => {
+    if (err) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      const message = err.code === "LIMIT_FILE_SIZE"
+        ? `file is larger than ${formatSize(UPLOAD_LIMITS.document)}`
+        : err.message;
+      return res.status(status).json({ error: "invalid upload", fields: { [err.field || "files"]: message } });
+    }
+    req.body = normalizeFormFields(req.body || {});
+    next();
+  });
+}
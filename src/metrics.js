@@ -0,0 +1,63 @@
+import client from "prom-client";
+
+/**
+ * Prometheus metrics of this instance, served at GET /metrics. Counters and
+ * histograms are updated where things happen; gauges registered with
+ * `registerGauge` are read from redis when prometheus scrapes.
+ */
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+export const notifications = new client.Counter({
+  name: "notifications_total",
+  help: "Queued notifications by outcome: sent, retrying or failed",
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+export const telegramRequests = new client.Histogram({
+  name: "telegram_api_request_duration_seconds",
+  help: "Telegram bot api calls by method and http status",
+  labelNames: ["method", "status"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+export const telegramRateLimits = new client.Counter({
+  name: "telegram_api_rate_limited_total",
+  help: "Telegram bot api calls answered with 429 Too Many Requests",
+  labelNames: ["method"],
+  registers: [registry],
+});
+
+export const llmRequests = new client.Histogram({
+  name: "llm_request_duration_seconds",
+  help: "AI answers by provider and outcome (ok or error), streaming included",
+  labelNames: ["provider", "outcome"],
+  buckets: [1, 2.5, 5, 10, 20, 30, 60, 120, 300],
+  registers: [registry],
+});
+
+export const llmRetries = new client.Counter({
+  name: "llm_request_retries_total",
+  help: "AI requests sent again after a failed attempt",
+  labelNames: ["provider"],
+  registers: [registry],
+});
+
+// a gauge whose value `read()` resolves with on every scrape; a failed read keeps the last value
+export function registerGauge(name, help, read) {
+  return new client.Gauge({
+    name,
+    help,
+    registers: [registry],
+    async collect() {
+      try {
+        this.set(await read());
+      }
+      catch (e) {
+        console.warn(`⚠️ Failed to read the ${name} metric:`, e.message);
+      }
+    },
+  });
+}
@@ -0,0 +1,44 @@
+// the collections every bot keeps its chats in, as setup-pocketbase.js created them
+export default {
+  version: 1,
+  name: "chat collections",
+  perBot: true,
+
+  async up(schema) {
+    await schema.ensureCollection("messages", [
+      { name: "chat_id", type: "text", required: true },
+      { name: "role", type: "select", required: true, maxSelect: 1, values: ["user", "assistant"] },
+      { name: "content", type: "text", required: true },
+      { name: "thread_id", type: "text", required: false },
+      { name: "created", type: "autodate", onCreate: true },
+      { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
+    ]);
+    await schema.ensureCollection("telegram_users", [
+      { name: "chat_id", type: "text", required: true },
+      { name: "username", type: "text", required: false },
+      { name: "first_name", type: "text", required: false },
+      { name: "last_name", type: "text", required: false },
+      { name: "language_code", type: "text", required: false },
+      { name: "system_prompt", type: "text", required: false },
+      { name: "llm_provider", type: "text", required: false },
+      { name: "status", type: "select", required: false, maxSelect: 1, values: ["allowed", "banned"] },
+      { name: "ban_reason", type: "text", required: false },
+      // per-user daily quotas: 0 uses USER_DAILY_MESSAGES / USER_DAILY_IMAGES, -1 is unlimited
+      { name: "daily_message_limit", type: "number", required: false, onlyInt: true },
+      { name: "daily_image_limit", type: "number", required: false, onlyInt: true },
+      // broadcasts skip users who blocked the bot and can target recently active ones
+      { name: "last_active", type: "date", required: false },
+      { name: "inactive", type: "bool", required: false },
+    ]);
+    await schema.ensureCollection("telegram_groups", [
+      { name: "chat_id", type: "text", required: true },
+      { name: "title", type: "text", required: false },
+      { name: "type", type: "select", required: false, maxSelect: 1, values: ["group", "supergroup"] },
+      { name: "username", type: "text", required: false },
+      { name: "system_prompt", type: "text", required: false },
+      { name: "llm_provider", type: "text", required: false },
+      { name: "created", type: "autodate", onCreate: true },
+      { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
+    ]);
+  },
+};
@@ -0,0 +1,66 @@
+// the collections of the notification api, shared by every bot
+export default {
+  version: 2,
+  name: "notification collections",
+
+  async up(schema) {
+    await schema.ensureCollection("notifications", [
+      { name: "job_id", type: "text", required: true },
+      { name: "bot", type: "text", required: false },
+      { name: "caller", type: "text", required: false },
+      { name: "external_id", type: "text", required: false },
+      { name: "chat_id", type: "text", required: true },
+      { name: "payload_hash", type: "text", required: false },
+      { name: "status", type: "select", required: true, maxSelect: 1, values: ["queued", "retrying", "sent", "failed"] },
+      { name: "attempts", type: "number", required: false, onlyInt: true },
+      { name: "message_id", type: "number", required: false, onlyInt: true },
+      { name: "error", type: "text", required: false },
+      { name: "created", type: "autodate", onCreate: true },
+      { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
+    ]);
+    await schema.ensureIndex("notifications", "job_id", ["job_id"], { unique: true });
+    await schema.ensureIndex("notifications", "chat_id", ["chat_id"]);
+    await schema.ensureIndex("notifications", "external_id", ["caller", "external_id"]);
+
+    await schema.ensureCollection("api_keys", [
+      { name: "name", type: "text", required: true },
+      { name: "key_hash", type: "text", required: true },
+      { name: "key_prefix", type: "text", required: false },
+      { name: "scopes", type: "json", required: false },
+      { name: "chat_ids", type: "json", required: false },
+      { name: "per_minute", type: "number", required: false, onlyInt: true },
+      { name: "per_day", type: "number", required: false, onlyInt: true },
+      { name: "revoked", type: "bool", required: false },
+      { name: "created", type: "autodate", onCreate: true },
+      { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
+    ]);
+    await schema.ensureIndex("api_keys", "key_hash", ["key_hash"], { unique: true });
+    await schema.ensureIndex("api_keys", "name", ["name"], { unique: true });
+
+    await schema.ensureCollection("templates", [
+      { name: "name", type: "text", required: true },
+      { name: "description", type: "text", required: false },
+      { name: "body", type: "text", required: true },
+      { name: "parse_mode", type: "select", required: false, maxSelect: 1, values: ["HTML", "MarkdownV2", "plain"] },
+      { name: "buttons", type: "json", required: false },
+      { name: "created", type: "autodate", onCreate: true },
+      { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
+    ]);
+    await schema.ensureIndex("templates", "name", ["name"], { unique: true });
+
+    await schema.ensureCollection("schedules", [
+      { name: "name", type: "text", required: true },
+      { name: "cron", type: "text", required: true },
+      { name: "timezone", type: "text", required: true },
+      { name: "payload", type: "json", required: true },
+      { name: "enabled", type: "bool", required: false },
+      { name: "caller", type: "text", required: false },
+      { name: "next_run_at", type: "date", required: false },
+      { name: "last_run_at", type: "date", required: false },
+      { name: "last_error", type: "text", required: false },
+      { name: "created", type: "autodate", onCreate: true },
+      { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
+    ]);
+    await schema.ensureIndex("schedules", "caller", ["caller"]);
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * One telegram_users and telegram_groups record per chat, lookup indexes for
+ * conversations and daily counts, and room for AI answers longer than
+ * PocketBase's default of 5000 characters per text field.
+ */
+export default {
+  version: 3,
+  name: "chat indexes and longer messages",
+  perBot: true,
+
+  async up(schema) {
+    // users were looked up before they were created, parallel updates could add a chat twice
+    await schema.ensureCollection("telegram_users", [
+      { name: "created", type: "autodate", onCreate: true },
+      { name: "updated", type: "autodate", onCreate: true, onUpdate: true },
+    ]);
+    await schema.removeDuplicates("telegram_users", "chat_id");
+    await schema.ensureIndex("telegram_users", "chat_id", ["chat_id"], { unique: true });
+    await schema.removeDuplicates("telegram_groups", "chat_id");
+    await schema.ensureIndex("telegram_groups", "chat_id", ["chat_id"], { unique: true });
+
+    await schema.alterField("messages", "content", { max: 100000 });
+    await schema.ensureIndex("messages", "thread", ["chat_id", "thread_id", "created"]);
+    await schema.ensureIndex("messages", "created", ["created"]);
+  },
+};
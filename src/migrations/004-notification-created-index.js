@@ -0,0 +1,9 @@
+// the notification log is listed newest first and filtered by date
+export default {
+  version: 4,
+  name: "notification log date index",
+
+  async up(schema) {
+    await schema.ensureIndex("notifications", "created", ["created"]);
+  },
+};
@@ -0,0 +1,149 @@
+import { randomUUID } from "node:crypto";
+import { DEFAULT_BOT, listBots, withBot } from "../bots.js";
+import { holdLock, releaseLock } from "../redis-scripts.js";
+import chatCollections from "./001-chat-collections.js";
+import notifyCollections from "./002-notify-collections.js";
+import chatIndexes from "./003-chat-indexes.js";
+import notificationCreatedIndex from "./004-notification-created-index.js";
+import { createSchema } from "./schema.js";
+
+/**
+ * Migrations in the order they run, a released one is never changed: a new
+ * schema change is a new migration with the next version. A migration is
+ * `{ version, name, perBot?, up(schema) }`; `perBot` ones change the chat
+ * collections and run once for every bot in BOTS, a bot added later gets them
+ * on the next run.
+ */
+export const MIGRATIONS = [chatCollections, notifyCollections, chatIndexes, notificationCreatedIndex];
+
+const COLLECTION = "schema_migrations"; // applied migrations: version, name, bot ("" for shared ones)
+const LOCK_KEY = "schema_migration_lock"; // redis, held by the run that migrates
+const LOCK_TTL_MS = 60 * 1000;
+const LOCK_RETRY_MS = 2000;
+const LOCK_WAIT_MS = 5 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// every migration for every bot it applies to, in order
+function steps() {
+  return MIGRATIONS.flatMap(migration => migration.perBot
+    ? listBots().map(bot => ({ migration, bot: bot.name }))
+    : [{ migration, bot: "" }]);
+}
+
+function stepKey(version, bot) {
+  return `${version}:${bot}`;
+}
+
+function describe({ migration, bot }) {
+  return `${String(migration.version).padStart(3, "0")} ${migration.name}${bot ? ` (bot ${bot})` : ""}`;
+}
+
+// version:bot ➜ applied record, empty before the first migration
+async function appliedSteps(pb) {
+  try {
+    const records = await pb.collection(COLLECTION).getFullList({ sort: "version" });
+    return new Map(records.map(record => [stepKey(record.version, record.bot), record]));
+  }
+  catch (e) {
+    if (e.status === 404)
+      return new Map();
+    throw e;
+  }
+}
+
+async function pendingSteps(pb) {
+  const applied = await appliedSteps(pb);
+  return steps().filter(step => !applied.has(stepKey(step.migration.version, step.bot)));
+}
+
+// every migration step with the time it was applied, null for pending ones
+export async function migrationStatus(pb) {
+  const applied = await appliedSteps(pb);
+  return steps().map(step => ({
+    version: step.migration.version,
+    name: step.migration.name,
+    bot: step.bot || null,
+    description: describe(step),
+    applied_at: applied.get(stepKey(step.migration.version, step.bot))?.created || null,
+  }));
+}
+
+async function runStep(pb, step, { dryRun, log }) {
+  const schema = createSchema({ pb, dryRun, log: message => log(`   ${message}`) });
+  log(`${dryRun ? "Would apply" : "Applying"} ${describe(step)}`);
+  // chat collections are the bot's own copies, the default bot keeps the plain names
+  await withBot(step.bot || DEFAULT_BOT, () => step.migration.up(schema));
+  if (!dryRun)
+    await pb.collection(COLLECTION).create({ version: step.migration.version, name: step.migration.name, bot: step.bot });
+}
+
+async function ensureMigrationsCollection(pb, log) {
+  const schema = createSchema({ pb, log });
+  await schema.ensureCollection(COLLECTION, [
+    { name: "version", type: "number", required: true, onlyInt: true },
+    { name: "name", type: "text", required: false },
+    { name: "bot", type: "text", required: false },
+    { name: "created", type: "autodate", onCreate: true },
+  ]);
+  await schema.ensureIndex(COLLECTION, "version", ["version", "bot"], { unique: true });
+}
+
+async function acquireLock(redis, owner, log) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  while (!await holdLock(redis, LOCK_KEY, owner, LOCK_TTL_MS)) {
+    if (Date.now() > deadline)
+      throw new Error(`another migration run held the lock for ${LOCK_WAIT_MS / 1000}s`);
+    log("Another instance is migrating, waiting for it to finish...");
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Applies the pending migrations in order and records each one, returns how
+ * many ran. Runs of several instances (e.g. `prestart` of every container)
+ * take turns through a redis lock, the later ones find nothing left to do.
+ * A failed migration stops the run and is tried again by the next one, so
+ * does losing the lock (the heartbeat cannot extend it) between two; with
+ * `dryRun` the changes are only logged and nothing is locked or recorded.
+ */
+export async function migrate({ pb, redis, dryRun = false, log }) {
+  if (dryRun) {
+    const pending = await pendingSteps(pb);
+    for (const step of pending)
+      await runStep(pb, step, { dryRun, log });
+    return pending.length;
+  }
+
+  const owner = randomUUID();
+  await acquireLock(redis, owner, log);
+  // a lock that could not be extended may already be another run's, that run must not be raced
+  const lock = { lost: null };
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!await holdLock(redis, LOCK_KEY, owner, LOCK_TTL_MS))
+        lock.lost = "another run took over the migration lock";
+    }
+    catch (e) {
+      lock.lost = `failed to extend the migration lock: ${e.message}`;
+    }
+  }, LOCK_TTL_MS / 3);
+  const checkLock = () => {
+    if (lock.lost)
+      throw new Error(`${lock.lost}, stopped before the next migration`);
+  };
+  try {
+    await ensureMigrationsCollection(pb, log);
+    // read after locking, so whatever the previous holder applied is skipped
+    const pending = await pendingSteps(pb);
+    for (const step of pending) {
+      checkLock();
+      await runStep(pb, step, { dryRun, log });
+    }
+    return pending.length;
+  }
+  finally {
+    clearInterval(heartbeat);
+    await releaseLock(redis, LOCK_KEY, owner);
+  }
+}
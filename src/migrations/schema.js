@@ -0,0 +1,116 @@
+import { botCollection } from "../bots.js";
+
+// "CREATE UNIQUE INDEX idx_x ON x (a, b)" and "create unique index idx_x on x(a,b)" are the same index
+function normalizeSql(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").replace(/\s*([(),])\s*/g, "$1").trim();
+}
+
+function indexName(sql) {
+  return sql.match(/\bINDEX\s+(?:IF NOT EXISTS\s+)?[`"]?(\w+)/i)?.[1];
+}
+
+/**
+ * Schema changes for migrations. Every step looks at the current schema first
+ * and only changes what differs, so a migration that was cut short can run
+ * again. Collection names are the current bot's (see `botCollection`). With
+ * `dryRun` the changes are only passed to `log`.
+ */
+export function createSchema({ pb, dryRun = false, log }) {
+  async function find(name) {
+    try {
+      return await pb.collections.getOne(name);
+    }
+    catch (e) {
+      if (e.status === 404)
+        return null;
+      throw e;
+    }
+  }
+
+  // a dry run cannot look at collections an earlier step would have created
+  async function findOrPlanned(name) {
+    const collection = await find(name);
+    if (!collection && !dryRun)
+      throw new Error(`collection ${name} does not exist`);
+    return collection;
+  }
+
+  async function change(description, apply) {
+    log(dryRun ? `would ${description}` : description);
+    if (!dryRun)
+      await apply();
+  }
+
+  // creates a base collection or adds the fields an existing one lacks, fields it has stay as they are
+  async function ensureCollection(logicalName, fields) {
+    const name = botCollection(logicalName);
+    const collection = await find(name);
+    if (!collection)
+      return change(`create collection ${name}`, () => pb.collections.create({ name, type: "base", fields }));
+
+    const missing = fields.filter(field => !collection.fields.some(existing => existing.name === field.name));
+    if (missing.length > 0) {
+      await change(`add ${missing.map(field => field.name).join(", ")} to ${name}`, () => pb.collections.update(collection.id, {
+        fields: [...collection.fields, ...missing],
+      }));
+    }
+  }
+
+  // changes options of a field, e.g. `{ max: 100000 }` or new select values
+  async function alterField(logicalName, fieldName, options) {
+    const name = botCollection(logicalName);
+    const collection = await findOrPlanned(name);
+    const field = collection?.fields.find(existing => existing.name === fieldName);
+    if (collection && !field)
+      throw new Error(`collection ${name} has no field ${fieldName}`);
+    if (field && Object.entries(options).every(([key, value]) => JSON.stringify(field[key]) === JSON.stringify(value)))
+      return;
+    await change(`change ${name}.${fieldName} to ${JSON.stringify(options)}`, () => pb.collections.update(collection.id, {
+      fields: collection.fields.map(existing => existing.name === fieldName ? { ...existing, ...options } : existing),
+    }));
+  }
+
+  /**
+   * Creates the index `idx_<collection>_<suffix>` on `columns`, or replaces
+   * an index of that name that differs.
+   */
+  async function ensureIndex(logicalName, suffix, columns, { unique = false } = {}) {
+    const name = botCollection(logicalName);
+    const collection = await findOrPlanned(name);
+    const index = `idx_${name}_${suffix}`;
+    const sql = `CREATE ${unique ? "UNIQUE " : ""}INDEX ${index} ON ${name} (${columns.join(", ")})`;
+    const indexes = collection?.indexes || [];
+    const existing = indexes.find(other => indexName(other) === index);
+    if (existing && normalizeSql(existing) === normalizeSql(sql))
+      return;
+    await change(`${existing ? "replace" : "create"} ${sql}`, () => pb.collections.update(collection.id, {
+      indexes: [...indexes.filter(other => other !== existing), sql],
+    }));
+  }
+
+  /**
+   * Deletes records sharing a value of `field` before a unique index on it,
+   * the oldest record of each value is kept.
+   */
+  async function removeDuplicates(logicalName, field) {
+    const name = botCollection(logicalName);
+    if (!await findOrPlanned(name))
+      return;
+    const records = await pb.collection(name).getFullList({ sort: "@rowid", fields: `id,${field}` });
+    const seen = new Set();
+    const duplicates = records.filter((record) => {
+      if (seen.has(record[field]))
+        return true;
+      seen.add(record[field]);
+      return false;
+    });
+    if (duplicates.length === 0)
+      return;
+    await change(`delete ${duplicates.length} ${name} records with a duplicate ${field}`, async () => {
+      for (const { id } of duplicates)
+        await pb.collection(name).delete(id);
+    });
+  }
+
+  return { ensureCollection, alterField, ensureIndex, removeDuplicates };
+}
@@ -0,0 +1,139 @@
+import { createHash } from "node:crypto";
+
+const COLLECTION = "notifications";
+export const NOTIFICATION_STATUSES = ["queued", "retrying", "sent", "failed"];
+const MAX_PER_PAGE = 100;
+
+// the same payload always hashes the same, buffers are already base64 in queued jobs
+export function hashPayload(payload) {
+  return createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+}
+
+// albums come back as a list of messages, the first one stands for the notification
+export function firstMessageId(result) {
+  const message = Array.isArray(result) ? result[0] : result;
+  return message?.message_id ?? null;
+}
+
+function toResponse(record) {
+  return {
+    id: record.job_id,
+    bot: record.bot || null,
+    caller: record.caller,
+    external_id: record.external_id || null,
+    chat_id: record.chat_id,
+    payload_hash: record.payload_hash,
+    status: record.status,
+    attempts: record.attempts,
+    message_id: record.message_id || null,
+    error: record.error || null,
+    created: record.created,
+    updated: record.updated,
+  };
+}
+
+/**
+ * Keeps a PocketBase record for every /notify job so deliveries can be
+ * looked up after the queue has forgotten them.
+ */
+export function createNotificationLog(pb) {
+  const collection = () => pb.collection(COLLECTION);
+
+  // called by the queue whenever a job changes, never throws so sending goes on
+  async function sync(job) {
+    // edits of an earlier notification are not notifications of their own, broadcasts keep their own counts
+    if (job.meta?.kind === "edit" || job.meta?.kind === "broadcast")
+      return;
+    const data = {
+      job_id: job.id,
+      bot: job.bot || "",
+      caller: job.caller || "",
+      external_id: job.meta?.external_id || "",
+      chat_id: String(job.chat_id),
+      payload_hash: job.payload_hash,
+      status: job.status,
+      attempts: job.attempts,
+      message_id: firstMessageId(job.result),
+      error: job.error || "",
+    };
+
+    try {
+      try {
+        const record = await collection().getFirstListItem(pb.filter("job_id = {:id}", { id: job.id }));
+        await collection().update(record.id, data);
+      }
+      catch (e) {
+        if (e.status !== 404)
+          throw e;
+        await collection().create(data);
+      }
+    }
+    catch (e) {
+      console.warn(`⚠️ Failed to log notification ${job.id}:`, e.message);
+    }
+  }
+
+  async function get(id) {
+    try {
+      const record = await collection().getFirstListItem(pb.filter("job_id = {:id}", { id }));
+      return toResponse(record);
+    }
+    catch (e) {
+      if (e.status === 404)
+        return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Lists notifications, newest first. Every filter is optional:
+   * status, chat_id, caller, external_id, since and until (ISO dates), page
+   * and per_page.
+   */
+  async function list({ status, chat_id: chatId, caller, external_id: externalId, since, until, page = 1, per_page: perPage = 20 } = {}) {
+    const conditions = [];
+    const params = {};
+    if (status) {
+      conditions.push("status = {:status}");
+      params.status = status;
+    }
+    if (chatId) {
+      conditions.push("chat_id = {:chatId}");
+      params.chatId = String(chatId);
+    }
+    if (caller) {
+      conditions.push("caller = {:caller}");
+      params.caller = caller;
+    }
+    if (externalId) {
+      conditions.push("external_id = {:externalId}");
+      params.externalId = externalId;
+    }
+    if (since) {
+      conditions.push("created >= {:since}");
+      params.since = new Date(since);
+    }
+    if (until) {
+      conditions.push("created <= {:until}");
+      params.until = new Date(until);
+    }
+
+    const result = await collection().getList(
+      Math.max(1, Number(page) || 1),
+      Math.min(MAX_PER_PAGE, Math.max(1, Number(perPage) || 20)),
+      {
+        filter: conditions.length > 0 ? pb.filter(conditions.join(" && "), params) : "",
+        sort: "-created",
+      },
+    );
+
+    return {
+      page: result.page,
+      per_page: result.perPage,
+      total: result.totalItems,
+      items: result.items.map(toResponse),
+    };
+  }
+
+  return { sync, get, list };
+}
@@ -0,0 +1,196 @@
+import { createHmac, randomBytes } from "node:crypto";
+import axios from "axios";
+import { NOTIFY_CALLBACK_SECRET } from "./config.js";
+import { MAX_CAPTION_LENGTH } from "./media.js";
+import { MAX_TEXT_LENGTH } from "./notify-payload.js";
+import { callTelegram, editNotification } from "./telegram.js";
+import { escapeText } from "./templates.js";
+
+// redis keys
+const CALLBACK_KEY_PREFIX = "notify_callback:"; // string per token: json of the notification its buttons belong to
+const RESPONSES_KEY_PREFIX = "notify_responses:"; // list per job id: json of every click, oldest first
+const CALLBACK_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_RESPONSES = 100;
+
+// callback_data of notification buttons is "nb:<token>:<the caller's callback_data>"
+const DATA_PREFIX = "nb:";
+const POLL_INTERVAL_MS = 500;
+const POST_ATTEMPTS = 3;
+const POST_TIMEOUT_MS = 10 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeUser(from) {
+  if (from.username)
+    return `@${from.username}`;
+  return [from.first_name, from.last_name].filter(Boolean).join(" ") || String(from.id);
+}
+
+// the clicked button's label, as telegram shows it on the message
+function buttonLabel(message, data) {
+  const buttons = message?.reply_markup?.inline_keyboard?.flat() || [];
+  return buttons.find(button => button.callback_data === data)?.text;
+}
+
+// hex hmac-sha256 of the posted body, the same scheme github uses
+function sign(body) {
+  return `sha256=${createHmac("sha256", NOTIFY_CALLBACK_SECRET).update(body).digest("hex")}`;
+}
+
+/**
+ * Inline buttons with callback_data on /notify messages. Each notification
+ * gets a random token in front of its buttons' callback_data, so a click finds
+ * its way back: it is answered, recorded for GET /notify/:id/response,
+ * optionally shown on the message and posted to the notification's
+ * callback_url, signed with NOTIFY_CALLBACK_SECRET.
+ */
+export function createNotifyCallbacks({ redis }) {
+  /**
+   * Puts a new token in front of the callback buttons of a /notify value.
+   * Returns the rewritten value and the token to register once it is queued.
+   */
+  function prepare(value) {
+    if (!value.callback)
+      return { value };
+
+    const token = randomBytes(9).toString("base64url");
+    const { options } = value.payload;
+    const keyboard = options.reply_markup.inline_keyboard.map(row => row.map(button => button.callback_data === undefined
+      ? button
+      : { ...button, callback_data: `${DATA_PREFIX}${token}:${button.callback_data}` }));
+    const payload = { ...value.payload, options: { ...options, reply_markup: { inline_keyboard: keyboard } } };
+    return { token, value: { ...value, payload } };
+  }
+
+  async function register(token, { jobId, chatId, caller, value }) {
+    const { payload, callback } = value;
+    const entry = {
+      job_id: jobId,
+      chat_id: chatId,
+      caller,
+      external_id: value.externalId,
+      url: callback.url,
+      edit: callback.edit,
+      // kept to show the click under the original text
+      text: payload.text || "",
+      parse_mode: payload.options.parse_mode || "plain",
+      media: payload.attachments.length > 0,
+    };
+    await redis.set(`${CALLBACK_KEY_PREFIX}${token}`, JSON.stringify(entry), { EX: CALLBACK_TTL_SECONDS });
+  }
+
+  async function answer(queryId, text) {
+    try {
+      await callTelegram("answerCallbackQuery", { callback_query_id: queryId, text });
+    }
+    catch (e) {
+      console.warn("⚠️ Failed to answer callback query:", e.response?.data?.description || e.message);
+    }
+  }
+
+  // appends who clicked to the message and removes the buttons, so it is answered once
+  async function showClick(entry, message, response) {
+    const line = `${response.label} · ${describeUser(response.from)}`;
+    const suffix = {
+      HTML: `<i>${escapeText(line, "HTML")}</i>`,
+      MarkdownV2: `_${escapeText(line, "MarkdownV2")}_`,
+      plain: line,
+    }[entry.parse_mode];
+    const text = entry.text ? `${entry.text}\n\n${suffix}` : suffix;
+    const fits = text.length <= (entry.media ? MAX_CAPTION_LENGTH : MAX_TEXT_LENGTH);
+
+    const result = await editNotification(message.chat.id, message.message_id, fits ? text : undefined, {
+      media: entry.media,
+      parse_mode: entry.parse_mode === "plain" ? undefined : entry.parse_mode,
+      reply_markup: { inline_keyboard: [] },
+    });
+    if (!result.ok)
+      console.warn(`⚠️ Failed to show the click on notification ${entry.job_id}:`, result.error);
+  }
+
+  async function post(entry, response) {
+    const body = JSON.stringify({ job_id: entry.job_id, external_id: entry.external_id, ...response });
+    const headers = { "Content-Type": "application/json" };
+    if (NOTIFY_CALLBACK_SECRET)
+      headers["X-Notify-Signature-256"] = sign(body);
+
+    for (let attempt = 1; attempt <= POST_ATTEMPTS; attempt++) {
+      try {
+        await axios.post(entry.url, body, { headers, timeout: POST_TIMEOUT_MS });
+        return;
+      }
+      catch (e) {
+        if (attempt === POST_ATTEMPTS)
+          console.warn(`⚠️ Failed to post the click on notification ${entry.job_id} to ${entry.url}:`, e.message);
+        else
+          await sleep(1000 * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Handles a callback_query update. Returns false for buttons that do not
+   * belong to a notification.
+   */
+  async function handle(query) {
+    const data = query.data || "";
+    if (!data.startsWith(DATA_PREFIX))
+      return false;
+
+    const [token, ...rest] = data.slice(DATA_PREFIX.length).split(":");
+    const raw = await redis.get(`${CALLBACK_KEY_PREFIX}${token}`);
+    if (!raw) {
+      await answer(query.id, "This button has expired.");
+      return true;
+    }
+
+    const entry = JSON.parse(raw);
+    const choice = rest.join(":");
+    const response = {
+      data: choice,
+      label: buttonLabel(query.message, data) ?? choice,
+      from: {
+        id: query.from.id,
+        username: query.from.username,
+        first_name: query.from.first_name,
+        last_name: query.from.last_name,
+      },
+      chat_id: query.message?.chat.id ?? entry.chat_id,
+      message_id: query.message?.message_id,
+      clicked_at: new Date().toISOString(),
+    };
+
+    const key = `${RESPONSES_KEY_PREFIX}${entry.job_id}`;
+    await redis.multi()
+      .rPush(key, JSON.stringify(response))
+      .lTrim(key, -MAX_RESPONSES, -1)
+      .expire(key, CALLBACK_TTL_SECONDS)
+      .exec();
+
+    await answer(query.id, `✓ ${response.label}`);
+    if (entry.edit && query.message)
+      await showClick(entry, query.message, response);
+    // the caller's endpoint may be slow, the update handler does not wait for it
+    if (entry.url)
+      post(entry, response);
+    return true;
+  }
+
+  async function getResponses(jobId) {
+    const items = await redis.lRange(`${RESPONSES_KEY_PREFIX}${jobId}`, 0, -1);
+    return items.map(item => JSON.parse(item));
+  }
+
+  // long poll: resolves with the clicks once there is one, or an empty list on timeout
+  async function waitForResponses(jobId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    let responses = await getResponses(jobId);
+    while (responses.length === 0 && Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      responses = await getResponses(jobId);
+    }
+    return responses;
+  }
+
+  return { prepare, register, handle, waitForResponses };
+}
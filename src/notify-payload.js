@@ -0,0 +1,278 @@
+import { Buffer } from "node:buffer";
+import { currentBot, getBot } from "./bots.js";
+import { sanitizeHtml } from "./formatter.js";
+import { MAX_CAPTION_LENGTH, parseAttachments } from "./media.js";
+
+export const PARSE_MODES = ["HTML", "MarkdownV2", "plain"];
+export const MAX_TEXT_LENGTH = 4096;
+const MAX_CHATS = 50;
+const MAX_BUTTON_TEXT_LENGTH = 64;
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+const MAX_DEDUP_KEY_LENGTH = 256;
+const DEFAULT_DEDUP_WINDOW = 300;
+const MAX_DEDUP_WINDOW = 24 * 60 * 60;
+const MAX_EXTERNAL_ID_LENGTH = 256;
+// telegram allows 64 bytes of callback_data, the rest is taken by the notification's token
+export const MAX_CALLBACK_DATA_BYTES = 48;
+
+// numeric chat ids or public @channel usernames
+export function isChatId(value) {
+  if (typeof value === "number")
+    return Number.isSafeInteger(value);
+  return typeof value === "string" && /^(?:-?\d+|@\w{5,})$/.test(value);
+}
+
+function isButtonUrl(value) {
+  return typeof value === "string" && /^(?:https?|tg):\/\/\S+$/.test(value);
+}
+
+// a button either opens a url or reports a click with its callback_data
+function validateButton(button, path, errors) {
+  if (!button || typeof button !== "object" || Array.isArray(button)) {
+    errors[path] = "must be an object with text and url or callback_data";
+    return;
+  }
+  if (typeof button.text !== "string" || !button.text.trim())
+    errors[`${path}.text`] = "must be a non-empty string";
+  else if (button.text.length > MAX_BUTTON_TEXT_LENGTH)
+    errors[`${path}.text`] = `must be at most ${MAX_BUTTON_TEXT_LENGTH} characters`;
+
+  const data = button.callback_data;
+  if (data === undefined && !isButtonUrl(button.url))
+    errors[`${path}.url`] = "must be an http(s) or tg:// url";
+  else if (data !== undefined && button.url !== undefined)
+    errors[path] = "must have either a url or callback_data";
+  else if (data !== undefined && (typeof data !== "string" || !data || Buffer.byteLength(data) > MAX_CALLBACK_DATA_BYTES))
+    errors[`${path}.callback_data`] = `must be a non-empty string of at most ${MAX_CALLBACK_DATA_BYTES} bytes`;
+}
+
+// buttons is a list of rows, a row is either one button or a list of buttons
+function parseButtons(buttons, errors) {
+  if (!Array.isArray(buttons) || buttons.length === 0) {
+    errors.buttons = "must be a non-empty array";
+    return undefined;
+  }
+
+  const rows = buttons.map(row => Array.isArray(row) ? row : [row]);
+  rows.forEach((row, i) => {
+    if (row.length === 0)
+      errors[`buttons[${i}]`] = "must not be empty";
+    row.forEach((button, j) => {
+      const path = Array.isArray(buttons[i]) ? `buttons[${i}][${j}]` : `buttons[${i}]`;
+      validateButton(button, path, errors);
+    });
+  });
+
+  return rows.map(row => row.map(({ text, url, callback_data: data }) => data === undefined ? { text, url } : { text, callback_data: data }));
+}
+
+// the bot that sends, the one whose update or request is handled when no name is given
+function parseBot(name, errors) {
+  if (name === undefined || name === null || name === "")
+    return currentBot();
+  const bot = typeof name === "string" ? getBot(name) : null;
+  if (!bot)
+    errors.bot = "must be the name of a configured bot";
+  return bot;
+}
+
+// without chat_id the notification goes to the bot's default chat (CHAT_ID or chat_id in BOTS)
+function parseChatIds(chatId, bot, errors) {
+  if (chatId === undefined || chatId === null || chatId === "") {
+    if (bot && !bot.chatId)
+      errors.chat_id = "is required when the bot has no default chat configured";
+    return [bot?.chatId];
+  }
+
+  const chatIds = Array.isArray(chatId) ? chatId : [chatId];
+  if (chatIds.length === 0)
+    errors.chat_id = "must not be an empty array";
+  else if (chatIds.length > MAX_CHATS)
+    errors.chat_id = `must contain at most ${MAX_CHATS} chats`;
+  else if (!chatIds.every(isChatId))
+    errors.chat_id = "must be a chat id, an @channel username or an array of them";
+  return chatIds;
+}
+
+// send_at is an ISO date with a timezone offset, times in the past send right away
+function parseSendAt(sendAt, errors) {
+  if (sendAt === undefined || sendAt === null)
+    return undefined;
+  const time = typeof sendAt === "string" && /(?:Z|[+-]\d{2}:?\d{2})$/i.test(sendAt) ? Date.parse(sendAt) : Number.NaN;
+  if (Number.isNaN(time))
+    errors.send_at = "must be an ISO date with a timezone, e.g. 2030-01-01T09:00:00+03:00";
+  else if (time - Date.now() > MAX_SCHEDULE_AHEAD_MS)
+    errors.send_at = "must be within a year";
+  return time;
+}
+
+// identical dedup keys for a chat within the window are counted instead of sent again
+function parseDedup(body, errors) {
+  const { dedup_key: key, dedup_window: window = DEFAULT_DEDUP_WINDOW } = body;
+  if (key === undefined) {
+    if (body.dedup_window !== undefined)
+      errors.dedup_window = "needs a dedup_key";
+    return undefined;
+  }
+  if (typeof key !== "string" || !key.trim() || key.length > MAX_DEDUP_KEY_LENGTH)
+    errors.dedup_key = `must be a non-empty string of at most ${MAX_DEDUP_KEY_LENGTH} characters`;
+  if (!Number.isSafeInteger(window) || window < 1 || window > MAX_DEDUP_WINDOW)
+    errors.dedup_window = `must be between 1 and ${MAX_DEDUP_WINDOW} seconds`;
+  return { key, window };
+}
+
+// a caller's own id for the notification, sending it again updates the message instead
+function parseExternalId(externalId, errors) {
+  if (externalId === undefined)
+    return undefined;
+  if (typeof externalId !== "string" || !externalId.trim() || externalId.length > MAX_EXTERNAL_ID_LENGTH)
+    errors.external_id = `must be a non-empty string of at most ${MAX_EXTERNAL_ID_LENGTH} characters`;
+  return externalId;
+}
+
+// where clicks on callback buttons are posted and whether the message shows who clicked
+function parseCallback(body, keyboard, errors) {
+  const hasCallbackButtons = Boolean(keyboard?.some(row => row.some(button => button.callback_data !== undefined)));
+  const { callback_url: url, callback_edit: edit } = body;
+  if (!hasCallbackButtons) {
+    if (url !== undefined || edit !== undefined)
+      errors[url !== undefined ? "callback_url" : "callback_edit"] = "needs buttons with callback_data";
+    return undefined;
+  }
+  if (url !== undefined && (typeof url !== "string" || !/^https?:\/\/\S+$/.test(url)))
+    errors.callback_url = "must be an http(s) url";
+  return { url, edit: edit === true };
+}
+
+function checkParseMode(parseMode, errors) {
+  if (!PARSE_MODES.includes(parseMode))
+    errors.parse_mode = `must be one of ${PARSE_MODES.join(", ")}`;
+}
+
+// html is reduced to what telegram accepts, the other modes go out as written
+function formatText(text, parseMode) {
+  return parseMode === "HTML" && typeof text === "string" ? sanitizeHtml(text) : text;
+}
+
+function checkBoolean(body, field, errors) {
+  if (body[field] !== undefined && typeof body[field] !== "boolean")
+    errors[field] = "must be a boolean";
+}
+
+/**
+ * Validates a /notify request body and its uploaded files.
+ * Returns `{ errors }` keyed by field when invalid, otherwise `{ value }` with
+ * the name of the sending bot, the target chat ids, the send_at time, the dedup settings, the external id,
+ * the callback settings and the `payload` that is queued: the text (the caption when there are
+ * attachments), the attachments and the extra send params. With `recipients: false` (broadcasts,
+ * which pick their own chats) chat_id is not read and no target chat is required.
+ */
+export function parseNotifyPayload(body, files = [], { recipients = true } = {}) {
+  const errors = {};
+  if (!body || typeof body !== "object" || Array.isArray(body))
+    return { errors: { body: "must be a json object" } };
+
+  const { text, parse_mode: parseMode = "HTML", buttons } = body;
+  const attachments = parseAttachments(body.attachments, files, errors);
+  const hasAttachments = attachments.length > 0 || body.attachments !== undefined;
+
+  // with attachments the text becomes an optional caption
+  const maxTextLength = hasAttachments ? MAX_CAPTION_LENGTH : MAX_TEXT_LENGTH;
+  if (text !== undefined || !hasAttachments) {
+    if (typeof text !== "string" || !text.trim())
+      errors.text = "is required";
+    else if (text.length > maxTextLength)
+      errors.text = `must be at most ${maxTextLength} characters`;
+  }
+
+  const bot = parseBot(body.bot, errors);
+  const chatIds = recipients ? parseChatIds(body.chat_id, bot, errors) : [];
+
+  checkParseMode(parseMode, errors);
+
+  const keyboard = buttons === undefined ? undefined : parseButtons(buttons, errors);
+  if (keyboard && attachments.length > 1)
+    errors.buttons = "are not supported on albums";
+
+  checkBoolean(body, "disable_notification", errors);
+  checkBoolean(body, "protect_content", errors);
+  checkBoolean(body, "callback_edit", errors);
+
+  const replyTo = body.reply_to_message_id;
+  if (replyTo !== undefined && (!Number.isSafeInteger(replyTo) || replyTo <= 0))
+    errors.reply_to_message_id = "must be a positive integer";
+
+  const sendAt = parseSendAt(body.send_at, errors);
+  const dedup = parseDedup(body, errors);
+  const externalId = parseExternalId(body.external_id, errors);
+  const callback = parseCallback(body, keyboard, errors);
+
+  if (Object.keys(errors).length > 0)
+    return { errors };
+
+  return {
+    value: {
+      bot: bot.name,
+      chatIds,
+      multiple: Array.isArray(body.chat_id),
+      sendAt,
+      dedup,
+      externalId,
+      callback,
+      payload: {
+        text: formatText(text, parseMode),
+        attachments,
+        options: {
+          parse_mode: parseMode === "plain" ? undefined : parseMode,
+          reply_markup: keyboard ? { inline_keyboard: keyboard } : undefined,
+          disable_notification: body.disable_notification,
+          protect_content: body.protect_content,
+          reply_parameters: replyTo ? { message_id: replyTo, allow_sending_without_reply: true } : undefined,
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Validates a PATCH /notify/:id body. Returns `{ errors }` or `{ value }` with
+ * the new text and options; buttons left out stay as they are and
+ * `buttons: null` removes them.
+ */
+export function parseUpdatePayload(body) {
+  const errors = {};
+  if (!body || typeof body !== "object" || Array.isArray(body))
+    return { errors: { body: "must be a json object" } };
+
+  const { text, parse_mode: parseMode = "HTML", buttons } = body;
+  if (text === undefined && buttons === undefined)
+    errors.text = "is required unless buttons are given";
+  else if (text !== undefined && (typeof text !== "string" || !text.trim()))
+    errors.text = "must be a non-empty string";
+  else if (text?.length > MAX_TEXT_LENGTH)
+    errors.text = `must be at most ${MAX_TEXT_LENGTH} characters`;
+
+  checkParseMode(parseMode, errors);
+
+  let replyMarkup;
+  if (buttons === null)
+    replyMarkup = { inline_keyboard: [] };
+  else if (buttons !== undefined)
+    replyMarkup = { inline_keyboard: parseButtons(buttons, errors) };
+  // clicks are only routed for buttons sent with /notify, which registers them
+  if (replyMarkup?.inline_keyboard?.some(row => row.some(button => button.callback_data !== undefined)))
+    errors.buttons = "with callback_data can only be sent with /notify";
+
+  if (Object.keys(errors).length > 0)
+    return { errors };
+
+  return {
+    value: {
+      text: formatText(text, parseMode),
+      options: {
+        parse_mode: parseMode === "plain" ? undefined : parseMode,
+        reply_markup: replyMarkup,
+      },
+    },
+  };
+}
@@ -0,0 +1,266 @@
+import { Buffer } from "node:buffer";
+import { randomUUID } from "node:crypto";
+import { currentBot, getBot, withBot } from "./bots.js";
+import { NOTIFY_MAX_ATTEMPTS } from "./config.js";
+import { hashPayload } from "./notification-log.js";
+import { claimDue, runWorker } from "./redis-scripts.js";
+
+// redis keys
+const QUEUE_KEY = "notify_queue"; // zset: job id ➜ time (ms) it may run next
+const JOB_KEY_PREFIX = "notify_job:"; // string: job json
+const DEAD_LETTER_KEY = "notify_dead_letters"; // list: failed job json, newest first
+const RATE_KEY_PREFIX = "notify_rate:"; // per bot: global window, chat windows and pauses
+
+// telegram allows ~30 messages per second overall, 1 per second in a private
+// chat and 20 per minute in a group
+const GLOBAL_LIMIT = { count: 30, windowMs: 1000 };
+const PRIVATE_CHAT_LIMIT = { count: 1, windowMs: 1000 };
+const GROUP_CHAT_LIMIT = { count: 20, windowMs: 60 * 1000 };
+
+const LEASE_MS = 60 * 1000; // a claimed job runs again if its worker dies
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 250;
+const CONCURRENCY = 5;
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60; // kept this long after the job is due
+const MAX_DEAD_LETTERS = 1000;
+
+// returns 0 and counts the send when the chat and global windows allow it,
+// otherwise the ms until the blocking window ends
+const ACQUIRE_SCRIPT = `
+local pause = redis.call("PTTL", KEYS[3])
+if pause > 0 then return pause end
+local limits = { { KEYS[1], ARGV[1], ARGV[2] }, { KEYS[2], ARGV[3], ARGV[4] } }
+for _, limit in ipairs(limits) do
+  local count = tonumber(redis.call("GET", limit[1]) or "0")
+  if count >= tonumber(limit[2]) then
+    local ttl = redis.call("PTTL", limit[1])
+    if ttl > 0 then return ttl end
+    redis.call("DEL", limit[1])
+  end
+end
+for _, limit in ipairs(limits) do
+  if redis.call("INCR", limit[1]) == 1 then redis.call("PEXPIRE", limit[1], limit[3]) end
+end
+return 0
+`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// group and channel ids are negative, @channel usernames are channels too
+function chatLimitFor(chatId) {
+  return String(chatId).startsWith("-") || String(chatId).startsWith("@") ? GROUP_CHAT_LIMIT : PRIVATE_CHAT_LIMIT;
+}
+
+// a job scheduled with send_at must outlive the wait, so the ttl counts from its due time
+export function jobTtlSeconds(runAt) {
+  return Math.max(Math.ceil((runAt - Date.now()) / 1000), 0) + JOB_TTL_SECONDS;
+}
+
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+// buffers do not survive JSON, attachments are stored as base64
+function serializePayload(payload) {
+  return {
+    ...payload,
+    attachments: (payload.attachments || []).map(a => a.buffer ? { ...a, buffer: a.buffer.toString("base64") } : a),
+  };
+}
+
+function deserializePayload(payload) {
+  return {
+    ...payload,
+    attachments: (payload.attachments || []).map(a => a.buffer ? { ...a, buffer: Buffer.from(a.buffer, "base64") } : a),
+  };
+}
+
+// telegram answers 429 for flood limits and 5xx when it is having trouble
+function isRetryable(result) {
+  return !result.status || result.status === 429 || result.status >= 500;
+}
+
+/**
+ * Redis backed outbound queue for /notify.
+ * Jobs are delivered at least once by `send(chatId, payload)` while keeping
+ * telegram's rate limits across every app instance, retried with exponential
+ * backoff (or telegram's retry_after) and moved to the dead-letter list once
+ * they run out of attempts; broadcast messages are only marked failed, their
+ * broadcast counts them. `onChange(job)` is awaited after every job update.
+ * A job is sent by the bot that was current when it was queued; `send` and
+ * `onChange` run as that bot.
+ */
+export function createNotifyQueue({ redis, send, onChange, maxAttempts = NOTIFY_MAX_ATTEMPTS }) {
+  const workers = [];
+
+  async function saveJob(job) {
+    job.updated_at = new Date().toISOString();
+    await redis.set(`${JOB_KEY_PREFIX}${job.id}`, JSON.stringify(job), { EX: jobTtlSeconds(Date.parse(job.run_at)) });
+    if (onChange)
+      await onChange(job);
+  }
+
+  async function getJob(id) {
+    const raw = await redis.get(`${JOB_KEY_PREFIX}${id}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // caller names whoever asked for the notification and meta is kept on the job for onChange
+  async function enqueue(chatId, payload, { runAt = Date.now(), caller = "", meta } = {}) {
+    const now = new Date().toISOString();
+    const serialized = serializePayload(payload);
+    const job = {
+      id: randomUUID(),
+      bot: currentBot().name,
+      chat_id: chatId,
+      caller,
+      meta,
+      payload: serialized,
+      payload_hash: hashPayload(serialized),
+      run_at: new Date(runAt).toISOString(),
+      status: "queued",
+      attempts: 0,
+      result: null,
+      error: null,
+      created_at: now,
+    };
+    await saveJob(job);
+    await redis.zAdd(QUEUE_KEY, { score: runAt, value: job.id });
+    return job;
+  }
+
+  // polls the job until it was sent or dead-lettered, null on timeout
+  async function waitForJob(id, timeoutMs = 30 * 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const job = await getJob(id);
+      if (!job || job.status === "sent" || job.status === "failed")
+        return job;
+      await sleep(POLL_INTERVAL_MS);
+    }
+    return null;
+  }
+
+  async function reschedule(id, delayMs) {
+    await redis.zAdd(QUEUE_KEY, { score: Date.now() + delayMs, value: id }, { XX: true });
+  }
+
+  // telegram's limits are per bot
+  function rateKey(job, name) {
+    return `${RATE_KEY_PREFIX}${job.bot}:${name}`;
+  }
+
+  async function acquireSlot(job) {
+    const chatLimit = chatLimitFor(job.chat_id);
+    const wait = await redis.eval(ACQUIRE_SCRIPT, {
+      keys: [rateKey(job, "global"), rateKey(job, `chat:${job.chat_id}`), rateKey(job, `pause:${job.chat_id}`)],
+      arguments: [
+        String(GLOBAL_LIMIT.count),
+        String(GLOBAL_LIMIT.windowMs),
+        String(chatLimit.count),
+        String(chatLimit.windowMs),
+      ],
+    });
+    return Number(wait);
+  }
+
+  // a broadcast counts its own failures, thousands of blocked users would push real alerts out of the capped list
+  async function deadLetter(job) {
+    job.status = "failed";
+    const broadcast = job.meta?.kind === "broadcast";
+    const multi = redis.multi();
+    if (!broadcast) {
+      multi.lPush(DEAD_LETTER_KEY, JSON.stringify(job))
+        .lTrim(DEAD_LETTER_KEY, 0, MAX_DEAD_LETTERS - 1);
+    }
+    await multi.zRem(QUEUE_KEY, job.id).exec();
+    delete job.payload;
+    await saveJob(job);
+    if (!broadcast)
+      console.error(`❌ Notification ${job.id} to ${job.chat_id} dead-lettered after ${job.attempts} attempts: ${job.error}`);
+  }
+
+  async function processJob(id) {
+    const job = await getJob(id);
+    if (!job || job.status === "sent" || job.status === "failed") {
+      await redis.zRem(QUEUE_KEY, id);
+      return;
+    }
+    // jobs queued before bots had names belong to the first one
+    job.bot ||= currentBot().name;
+    if (!getBot(job.bot)) {
+      job.error = `the bot "${job.bot}" is no longer configured`;
+      return deadLetter(job);
+    }
+    return withBot(job.bot, () => runJob(id, job));
+  }
+
+  async function runJob(id, job) {
+    const wait = await acquireSlot(job);
+    if (wait > 0)
+      return reschedule(id, wait);
+
+    job.attempts += 1;
+    const result = await send(job.chat_id, deserializePayload(job.payload));
+
+    if (result.ok) {
+      job.status = "sent";
+      job.result = result.data;
+      job.error = null;
+      delete job.payload;
+      await saveJob(job);
+      await redis.zRem(QUEUE_KEY, id);
+      return;
+    }
+
+    job.error = result.error;
+    if (!isRetryable(result) || job.attempts >= maxAttempts)
+      return deadLetter(job);
+
+    let delay = backoffDelay(job.attempts);
+    if (result.retry_after) {
+      // telegram tells us exactly how long the chat is blocked, hold every job for it
+      delay = result.retry_after * 1000;
+      await redis.set(rateKey(job, `pause:${job.chat_id}`), "1", { PX: delay });
+    }
+    job.status = "retrying";
+    await saveJob(job);
+    await reschedule(id, delay);
+    console.warn(`⏳ Notification ${id} to ${job.chat_id} failed (${result.error}), retry ${job.attempts}/${maxAttempts} in ${Math.round(delay / 1000)}s`);
+  }
+
+  // sends one due job, false when none is due
+  async function work() {
+    const claimed = await claimDue(redis, QUEUE_KEY, LEASE_MS);
+    if (!claimed)
+      return false;
+    await processJob(claimed.id);
+    return true;
+  }
+
+  function start(concurrency = CONCURRENCY) {
+    if (workers.length > 0)
+      return;
+    for (let i = 0; i < concurrency; i++) {
+      workers.push(runWorker({
+        tick: work,
+        idleMs: POLL_INTERVAL_MS,
+        onError: e => console.warn("Notify queue worker error:", e.message),
+      }));
+    }
+  }
+
+  async function stop() {
+    await Promise.all(workers.splice(0).map(worker => worker.stop()));
+  }
+
+  // jobs waiting to be sent (scheduled and retrying ones included) and dead letters kept
+  async function depth() {
+    const [queued, deadLetters] = await Promise.all([redis.zCard(QUEUE_KEY), redis.lLen(DEAD_LETTER_KEY)]);
+    return { queued, deadLetters };
+  }
+
+  return { enqueue, getJob, waitForJob, depth, start, stop };
+}
@@ -0,0 +1,93 @@
+import { createHash } from "node:crypto";
+import { jobTtlSeconds } from "./notify-queue.js";
+import { deleteNotification, editNotification, isMediaMessage } from "./telegram.js";
+
+// redis keys
+const EXTERNAL_KEY_PREFIX = "notify_external:"; // hash per caller and external id: chat id ➜ job id
+
+function externalKey(caller, externalId) {
+  return `${EXTERNAL_KEY_PREFIX}${caller}:${createHash("sha1").update(externalId).digest("hex")}`;
+}
+
+// albums come back as a list of messages, the first one carries the caption
+function sentMessage(job) {
+  return Array.isArray(job.result) ? job.result[0] : job.result;
+}
+
+/**
+ * Edits and deletes of notifications that were already sent. They are queued
+ * as jobs with an `update` or `delete` payload, so they keep telegram's rate
+ * limits and wait for a notification that is still on its way.
+ * A target is `{ job_id, chat_id, message_id? }`; without a message id it is
+ * read from the job when the edit runs.
+ */
+export function createNotifyUpdates({ redis, getJob, enqueue }) {
+  // external ids are per caller, two services may both use "disk-full"; kept as long as the queue keeps the job
+  async function remember(caller, externalId, chatId, jobId, runAt = Date.now()) {
+    const key = externalKey(caller, externalId);
+    await redis.multi()
+      .hSet(key, String(chatId), jobId)
+      .expire(key, jobTtlSeconds(runAt))
+      .exec();
+  }
+
+  async function forget(caller, externalId, chatId) {
+    await redis.hDel(externalKey(caller, externalId), String(chatId));
+  }
+
+  // chat id ➜ job id for every chat the external id was sent to
+  async function lookup(caller, externalId) {
+    return redis.hGetAll(externalKey(caller, externalId));
+  }
+
+  // the job an external id became in a chat, unless it failed or is forgotten
+  async function current(caller, externalId, chatId) {
+    const jobId = await redis.hGet(externalKey(caller, externalId), String(chatId));
+    const job = jobId && await getJob(jobId);
+    return job && job.status !== "failed" ? job.id : null;
+  }
+
+  function queueUpdate(target, { text, options }, { caller, runAt } = {}) {
+    const update = { job_id: target.job_id, message_id: target.message_id };
+    return enqueue(target.chat_id, { update, text, options }, { caller, runAt, meta: { kind: "edit" } });
+  }
+
+  function queueDelete(target, { caller } = {}) {
+    const remove = { job_id: target.job_id, message_id: target.message_id };
+    return enqueue(target.chat_id, { delete: remove }, { caller, meta: { kind: "edit" } });
+  }
+
+  async function findMessage({ job_id: jobId, message_id: messageId }) {
+    // only the message id is known for notifications the queue has forgotten
+    if (messageId)
+      return { messageId };
+    const job = await getJob(jobId);
+    if (!job)
+      return { error: "the notification is no longer known", status: 404 };
+    if (job.status === "failed")
+      return { error: "the notification was never sent", status: 409 };
+    if (job.status !== "sent")
+      return { error: "the notification is not sent yet" }; // retried by the queue
+    const message = sentMessage(job);
+    return { messageId: message.message_id, message };
+  }
+
+  // queue sender for the jobs queued above
+  async function deliver(chatId, payload) {
+    const found = await findMessage(payload.update || payload.delete);
+    if (found.error)
+      return found;
+    const { messageId, message } = found;
+    if (payload.delete)
+      return deleteNotification(chatId, messageId);
+
+    // buttons that are not given stay, editing without them would remove them
+    return editNotification(chatId, messageId, payload.text, {
+      ...payload.options,
+      reply_markup: payload.options?.reply_markup ?? message?.reply_markup,
+      media: message ? isMediaMessage(message) : undefined,
+    });
+  }
+
+  return { remember, forget, lookup, current, queueUpdate, queueDelete, deliver };
+}
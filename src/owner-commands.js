@@ -0,0 +1,174 @@
+import { ACCESS_MODE } from "./config.js";
+import { sanitizeHtml } from "./formatter.js";
+import { botUser } from "./groups.js";
+import { escapeHtml } from "./html.js";
+import { sendNotification } from "./telegram.js";
+
+const NOT_FOUND = "❌ User not found. Use a user id, an @username or reply to their message.";
+const COMMANDS = ["/ban", "/unban", "/allow", "/quota", "/stats", "/broadcast", "/invite"];
+
+export const OWNER_HELP = `
+<b>Owner Commands:</b>
+/ban &lt;user&gt; [reason] - Ignore a user
+/unban &lt;user&gt; - Lift a ban
+/allow &lt;user&gt; - Let a user in (whitelist mode)
+/invite - Create a one-time invite link
+/quota &lt;user&gt; [messages] [images] - Show or set daily limits (0 default, -1 unlimited)
+/stats - Usage overview
+/broadcast &lt;text&gt; - Message every user
+A user is a user id, an @username or, in a group, the sender of the message you reply to.`;
+
+function describeUser(user) {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(" ") || "unknown";
+  return `${escapeHtml(name)}${user.username ? ` (@${escapeHtml(user.username)})` : ""} <code>${escapeHtml(user.chat_id)}</code>`;
+}
+
+function formatLimit(limit) {
+  return limit === Infinity ? "unlimited" : String(limit);
+}
+
+/**
+ * The owner's admin commands. `handle(message)` returns false for messages
+ * that are not one of them; other users are told the command is the owner's.
+ * /broadcast starts a broadcast like POST /broadcasts does.
+ */
+export function createOwnerCommands({ pb, access, broadcasts, chatQueue }) {
+  const users = () => pb.collection("telegram_users");
+
+  // the user a command is about: the sender of the replied message, or the first argument
+  async function takeTarget(message, args) {
+    const tokens = args.split(/\s+/).filter(Boolean);
+    const replied = message.reply_to_message?.from;
+    if (replied && !replied.is_bot)
+      return { user: await access.findUser(replied.id), rest: tokens };
+
+    const [arg = "", ...rest] = tokens;
+    if (/^\d+$/.test(arg))
+      return { user: await access.findUser(arg), rest };
+    if (!arg.startsWith("@"))
+      return { user: null, rest };
+    try {
+      return { user: await users().getFirstListItem(pb.filter("username = {:username}", { username: arg.slice(1) })), rest };
+    }
+    catch (e) {
+      if (e.status === 404)
+        return { user: null, rest };
+      throw e;
+    }
+  }
+
+  async function setStatus(message, args, status, reply) {
+    const { user, rest } = await takeTarget(message, args);
+    if (!user)
+      return NOT_FOUND;
+    if (status === "banned" && access.isOwner({ id: user.chat_id }))
+      return "❌ Owners cannot be banned.";
+    await users().update(user.id, { status, ban_reason: status === "banned" ? rest.join(" ") : "" });
+    return `${reply} ${describeUser(user)}`;
+  }
+
+  async function quota(message, args) {
+    const { user: target, rest } = await takeTarget(message, args);
+    if (!target)
+      return NOT_FOUND;
+
+    let user = target;
+    if (rest.length > 0) {
+      const [messages, images] = rest.map(Number);
+      if (![messages, images ?? 0].every(limit => Number.isInteger(limit) && limit >= -1))
+        return "❌ Limits are whole numbers, 0 for the default and -1 for unlimited.";
+      user = await users().update(target.id, {
+        daily_message_limit: messages,
+        ...(images === undefined ? {} : { daily_image_limit: images }),
+      });
+    }
+
+    const limits = access.limitsOf(user);
+    const used = await access.usage(user.chat_id);
+    return `${describeUser(user)}\nToday: ${used.messages}/${formatLimit(limits.messages)} messages, ${used.images}/${formatLimit(limits.images)} images`;
+  }
+
+  async function stats() {
+    const count = async (collection, filter) => (await pb.collection(collection).getList(1, 1, { filter })).totalItems;
+    const midnight = `${new Date().toISOString().slice(0, 10)} 00:00:00.000Z`;
+    const [usersCount, banned, allowed, groups, messagesToday, activeChats] = await Promise.all([
+      count("telegram_users"),
+      count("telegram_users", "status = \"banned\""),
+      count("telegram_users", "status = \"allowed\""),
+      count("telegram_groups"),
+      count("messages", pb.filter("created >= {:midnight} && role = \"user\"", { midnight })),
+      chatQueue.activeCount(),
+    ]);
+    return [
+      "<b>Stats</b>",
+      `Users: ${usersCount} (${allowed} allowed, ${banned} banned)`,
+      `Groups: ${groups}`,
+      `Messages today: ${messagesToday}`,
+      `Conversations waiting for an answer: ${activeChats}`,
+    ].join("\n");
+  }
+
+  async function broadcast(args) {
+    if (!args)
+      return "❌ Usage: /broadcast &lt;text&gt;";
+    const { id, total } = await broadcasts.create({
+      payload: { text: sanitizeHtml(args), attachments: [], options: { parse_mode: "HTML" } },
+      caller: "owner",
+    });
+    return `📣 Sending to ${total} users, follow it with GET /broadcasts/${id}.`;
+  }
+
+  async function invite(message) {
+    const code = await access.createInvite(message.from);
+    const { username } = await botUser();
+    return `🎟️ One-time invite, valid for 30 days:\nhttps://t.me/${username}?start=${code}`;
+  }
+
+  async function handle(message) {
+    const text = message.text || "";
+    const command = text.split(/\s/, 1)[0];
+    const args = text.slice(command.length).trim();
+    if (!COMMANDS.includes(command))
+      return false;
+    if (!access.isOwner(message.from)) {
+      await sendNotification(message.chat.id, `⛔ ${command} is only for the bot owner.`);
+      return true;
+    }
+
+    let reply;
+    try {
+      switch (command) {
+        case "/ban":
+          reply = await setStatus(message, args, "banned", "🚫 Banned");
+          break;
+        case "/unban":
+          // in whitelist mode an unbanned user may use the bot again
+          reply = await setStatus(message, args, ACCESS_MODE === "whitelist" ? "allowed" : "", "✅ Unbanned");
+          break;
+        case "/allow":
+          reply = await setStatus(message, args, "allowed", "✅ Allowed");
+          break;
+        case "/quota":
+          reply = await quota(message, args);
+          break;
+        case "/stats":
+          reply = await stats();
+          break;
+        case "/broadcast":
+          reply = await broadcast(args);
+          break;
+        case "/invite":
+          reply = await invite(message);
+          break;
+      }
+    }
+    catch (e) {
+      console.error(`Owner command ${command} failed:`, e);
+      reply = `❌ ${command} failed: ${escapeHtml(e.message)}`;
+    }
+    await sendNotification(message.chat.id, reply);
+    return true;
+  }
+
+  return { handle };
+}
@@ -0,0 +1,71 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// atomically takes the oldest due member of a zset and pushes its score past
+// the lease, so it comes around again if whoever claimed it dies
+const CLAIM_SCRIPT = `
+local due = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, 1, "WITHSCORES")
+if #due == 0 then return false end
+redis.call("ZADD", KEYS[1], "XX", ARGV[2], due[1])
+return due
+`;
+
+// returns `{ id, score }` of the claimed member or null when nothing is due
+export async function claimDue(redis, key, leaseMs) {
+  const now = Date.now();
+  const due = await redis.eval(CLAIM_SCRIPT, {
+    keys: [key],
+    arguments: [String(now), String(now + leaseMs)],
+  });
+  return due ? { id: due[0], score: Number(due[1]) } : null;
+}
+
+/**
+ * Calls `tick` over and over until `stop()` is called, waiting idleMs after
+ * a tick that found nothing to do (returned false) or threw, which goes to
+ * `onError`. `stop()` resolves once the tick in progress has finished.
+ */
+export function runWorker({ tick, idleMs, onError }) {
+  const state = { running: true };
+  const done = (async () => {
+    while (state.running) {
+      try {
+        if (!await tick())
+          await sleep(idleMs);
+      }
+      catch (e) {
+        onError(e);
+        await sleep(idleMs);
+      }
+    }
+  })();
+  return {
+    stop: async () => {
+      state.running = false;
+      await done;
+    },
+  };
+}
+
+// takes a lock or extends it when the owner already holds it
+const LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+if redis.call("SET", KEYS[1], ARGV[1], "NX", "PX", ARGV[2]) then return 1 end
+return 0
+`;
+
+const UNLOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) end
+return 0
+`;
+
+// true while `owner` holds the lock, it expires after ttlMs unless held again
+export async function holdLock(redis, key, owner, ttlMs) {
+  const held = await redis.eval(LOCK_SCRIPT, { keys: [key], arguments: [owner, String(ttlMs)] });
+  return held === 1;
+}
+
+export async function releaseLock(redis, key, owner) {
+  await redis.eval(UNLOCK_SCRIPT, { keys: [key], arguments: [owner] });
+}
@@ -0,0 +1,93 @@
+import { closeHtml, findCut, openTags, sanitizeHtml } from "./formatter.js";
+import { MAX_TEXT_LENGTH } from "./notify-payload.js";
+import { editNotification, sendNotification } from "./telegram.js";
+
+// telegram allows about one edit per second in a private chat and 20 messages a minute in a group
+const PRIVATE_EDIT_INTERVAL_MS = 1500;
+const GROUP_EDIT_INTERVAL_MS = 3500;
+// room for the tags closed at the end and reopened at the start of a message
+const MAX_MESSAGE_LENGTH = MAX_TEXT_LENGTH - 256;
+
+/**
+ * Shows an AI answer while it is being written by editing a message (the
+ * "In process..." one) with the text so far, at most every second or so.
+ * The text is sanitized like every AI reply. Text beyond one message continues
+ * in a new one, cut at a paragraph or code block boundary with open html tags
+ * closed and reopened on the next message.
+ */
+export function createReplyStream(chatId, messageId) {
+  const interval = String(chatId).startsWith("-") ? GROUP_EDIT_INTERVAL_MS : PRIVATE_EDIT_INTERVAL_MS;
+  let currentId = messageId;
+  let consumed = 0; // length of the answer already in earlier messages
+  let prefix = ""; // tags reopened at the start of the current message
+  let latest = "";
+  let shown = "";
+  let nextEditAt = 0;
+  let timer = null;
+  let chain = Promise.resolve();
+
+  async function show(html) {
+    if (html === shown || !html.trim())
+      return;
+    const result = await editNotification(chatId, currentId, html, { media: false, disable_web_page_preview: true });
+    if (result.ok)
+      shown = html;
+    else if (result.retry_after)
+      nextEditAt = Date.now() + result.retry_after * 1000;
+    else
+      console.warn(`⚠️ Failed to update the streamed reply in chat ${chatId}:`, result.error);
+  }
+
+  // moves every full message worth of text to its own message, the rest stays in the current one
+  async function rollOver(text) {
+    let html = prefix + text.slice(consumed);
+    while (html.length > MAX_MESSAGE_LENGTH) {
+      const cut = findCut(html, MAX_MESSAGE_LENGTH);
+      await show(closeHtml(html.slice(0, cut)));
+
+      const next = await sendNotification(chatId, "…", { disable_web_page_preview: true });
+      if (!next.ok) {
+        console.warn(`⚠️ Failed to continue the streamed reply in chat ${chatId}:`, next.error);
+        return null;
+      }
+      consumed += cut - prefix.length;
+      prefix = openTags(html.slice(0, cut)).map(open => open.tag).join("");
+      currentId = next.data.message_id;
+      shown = "";
+      html = prefix + text.slice(consumed);
+    }
+    return html;
+  }
+
+  async function flush(final) {
+    timer = null;
+    // a tag still being written would show up escaped until its ">" arrives
+    const html = await rollOver(sanitizeHtml(final ? latest : latest.replace(/<\/?[a-z][^<>]*$/i, "")));
+    if (html === null)
+      return;
+    await show(final ? closeHtml(html) : `${closeHtml(html)} ✍️`);
+    nextEditAt = Math.max(nextEditAt, Date.now() + interval);
+  }
+
+  function enqueueFlush(final = false) {
+    chain = chain.then(() => flush(final)).catch(e => console.warn("Streamed reply error:", e.message));
+    return chain;
+  }
+
+  // the answer so far, shown at the next allowed edit
+  function push(text) {
+    latest = text;
+    if (!timer)
+      timer = setTimeout(enqueueFlush, Math.max(0, nextEditAt - Date.now()));
+  }
+
+  // shows the complete answer and resolves once it is on screen
+  async function finish(text) {
+    latest = text;
+    clearTimeout(timer);
+    timer = null;
+    await enqueueFlush(true);
+  }
+
+  return { push, finish };
+}
@@ -0,0 +1,115 @@
+import express from "express";
+
+const MAX_REQUESTS = 200;
+const STREAM_CHUNK_WORDS = 3;
+const STREAM_DELAY_MS = 50;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// the text of the last user message, images are left out
+function lastPrompt(messages = []) {
+  const message = [...messages].reverse().find(m => m.role === "user");
+  if (!message)
+    return "";
+  if (typeof message.content === "string")
+    return message.content;
+  return message.content.filter(part => part.type === "text").map(part => part.text).join("\n");
+}
+
+function imageCount(messages = []) {
+  return messages.flatMap(m => Array.isArray(m.content) ? m.content : []).filter(part => part.type === "image_url").length;
+}
+
+/**
+ * Validates a script: rules `{ match, reply, error?, status?, delay_ms? }`
+ * tried in order, `match` is a case-insensitive regular expression on the
+ * user's message. Returns `{ errors }` or `{ rules }` with each rule's
+ * compiled `pattern`.
+ */
+export function parseScript(body) {
+  if (!Array.isArray(body?.rules))
+    return { errors: { rules: "must be an array of { match, reply } rules" } };
+  const errors = {};
+  const rules = body.rules.map((rule, i) => {
+    let pattern = null;
+    try {
+      pattern = new RegExp(rule?.match ?? "", "i");
+    }
+    catch {
+      errors[`rules[${i}].match`] = "must be a regular expression";
+    }
+    if (typeof rule?.reply !== "string" && rule?.error === undefined)
+      errors[`rules[${i}].reply`] = "is required unless the rule answers with an error";
+    return { ...rule, pattern };
+  });
+  return Object.keys(errors).length > 0 ? { errors } : { rules };
+}
+
+/**
+ * A scripted OpenAI compatible chat completions api for the sandbox, at
+ * `/v1/chat/completions` with and without streaming. The first rule matching
+ * the user's message answers; `{{prompt}}` in a reply is the message itself
+ * and `{{images}}` the number of images. Without a matching rule it echoes
+ * the message. A rule with `error` answers with that error and `status`.
+ */
+export function createFakeAi() {
+  let rules = [];
+  let requests = [];
+
+  function answer(messages) {
+    const prompt = lastPrompt(messages);
+    const rule = rules.find(r => r.pattern.test(prompt));
+    const reply = rule ? rule.reply : "🤖 Sandbox echo: {{prompt}}";
+    return {
+      rule,
+      reply: reply?.replaceAll("{{prompt}}", prompt).replaceAll("{{images}}", String(imageCount(messages))),
+    };
+  }
+
+  const router = express.Router();
+
+  router.post("/v1/chat/completions", async (req, res) => {
+    const { model = "sandbox", messages = [], stream = false } = req.body || {};
+    const { rule, reply } = answer(messages);
+    requests.push({ model, prompt: lastPrompt(messages), messages: messages.length, images: imageCount(messages), at: new Date().toISOString() });
+    if (requests.length > MAX_REQUESTS)
+      requests = requests.slice(-MAX_REQUESTS);
+
+    if (rule?.delay_ms)
+      await sleep(rule.delay_ms);
+    if (rule?.error !== undefined)
+      return res.status(rule.status || 500).json({ error: { message: String(rule.error), type: "sandbox_error" } });
+
+    if (!stream) {
+      return res.json({
+        id: `sandbox-${requests.length}`,
+        object: "chat.completion",
+        model,
+        choices: [{ index: 0, message: { role: "assistant", content: reply }, finish_reason: "stop" }],
+      });
+    }
+
+    res.set("Content-Type", "text/event-stream");
+    const words = reply.split(/(?<=\s)/);
+    for (let i = 0; i < words.length; i += STREAM_CHUNK_WORDS) {
+      const content = words.slice(i, i + STREAM_CHUNK_WORDS).join("");
+      res.write(`data: ${JSON.stringify({ object: "chat.completion.chunk", model, choices: [{ index: 0, delta: { content } }] })}\n\n`);
+      await sleep(STREAM_DELAY_MS);
+    }
+    res.end("data: [DONE]\n\n");
+  });
+
+  return {
+    router,
+    setRules: (next) => {
+      rules = next;
+    },
+    // as they were set, without the compiled patterns
+    rules: () => rules.map(({ pattern: _pattern, ...rule }) => rule),
+    requests: () => requests,
+    reset: () => {
+      rules = [];
+      requests = [];
+    },
+  };
+}
@@ -0,0 +1,153 @@
+import { Buffer } from "node:buffer";
+import express from "express";
+import { getBot } from "../bots.js";
+import { createFakeAi, parseScript } from "./ai.js";
+import { chatOf, createFakeTelegram } from "./telegram.js";
+
+let nextMessageId = 1;
+
+// the user who sends an injected message, the private chat's user by default
+function userOf(body) {
+  const id = Number(body.from_id ?? body.chat_id);
+  return {
+    id,
+    is_bot: false,
+    first_name: body.first_name || `User ${id}`,
+    ...(body.username ? { username: body.username } : {}),
+    language_code: body.language_code || "en",
+  };
+}
+
+function parseInjection(body) {
+  const errors = {};
+  if (body.update !== undefined) {
+    if (!body.update || typeof body.update !== "object")
+      errors.update = "must be a telegram update object";
+    return errors;
+  }
+  if (!/^-?\d+$/.test(String(body.chat_id ?? "")))
+    errors.chat_id = "must be a numeric chat id";
+  if (body.text === undefined && body.photo === undefined && body.callback_data === undefined)
+    errors.text = "is required unless a photo or callback_data is given";
+  else if (body.text !== undefined && typeof body.text !== "string")
+    errors.text = "must be a string";
+  if (body.callback_data !== undefined && !Number.isInteger(body.message_id))
+    errors.message_id = "is required with callback_data, the message whose button was clicked";
+  return errors;
+}
+
+// a message or button click update from the short form of POST /sandbox/updates
+function buildUpdate(telegram, body) {
+  if (body.update)
+    return body.update;
+  const from = userOf(body);
+  const chat = Number(body.chat_id) === from.id ? { ...chatOf(body.chat_id), first_name: from.first_name } : chatOf(body.chat_id);
+  if (body.callback_data !== undefined) {
+    return {
+      callback_query: { id: `sandbox-${Date.now()}`, from, message: { message_id: body.message_id, chat }, data: body.callback_data },
+    };
+  }
+
+  const message = { message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000) };
+  if (body.photo !== undefined) {
+    const file = telegram.addFile(Buffer.from(body.photo, "base64"), { mimeType: "image/jpeg", filename: "photo.jpg" });
+    message.photo = [{ ...file, width: 640, height: 480 }];
+    if (body.text)
+      message.caption = body.text;
+  }
+  else {
+    message.text = body.text;
+    const command = body.text.match(/^\/\S+/)?.[0];
+    if (command)
+      message.entities = [{ type: "bot_command", offset: 0, length: command.length }];
+  }
+  if (body.reply_to_message_id)
+    message.reply_to_message = { message_id: body.reply_to_message_id, chat };
+  return { message };
+}
+
+/**
+ * The sandbox: a fake Telegram Bot API and a scripted AI answering the app
+ * instead of the real services, for local runs and end-to-end tests. The
+ * app reaches it through TELEGRAM_API_URL and OPENAI_BASE_URL; the routes
+ * under /sandbox inject updates, read what the bot sent and script failures
+ * and answers. Returns the express `app` and the `telegram` and `ai` fakes
+ * for tests that drive it in process.
+ */
+export function createSandbox() {
+  const telegram = createFakeTelegram();
+  const ai = createFakeAi();
+
+  const app = express();
+  app.use(express.json({ limit: "20mb" }));
+  app.use(express.urlencoded({ extended: false }));
+  app.use(telegram.router);
+  app.use(ai.router);
+
+  app.get("/sandbox", (req, res) => {
+    res.json({ webhooks: telegram.webhooks(), faults: telegram.faults(), events: telegram.events().length, ai_rules: ai.rules() });
+  });
+
+  // sent, edited and deleted messages, filterable by chat_id and type
+  app.get("/sandbox/events", (req, res) => {
+    const { chat_id: chatId, type } = req.query;
+    res.json(telegram.events().filter(event => (!chatId || String(event.chat_id) === chatId) && (!type || event.type === type)));
+  });
+
+  // the chat as the user would see it now, edits applied and deleted messages gone
+  app.get("/sandbox/chats/:chatId/messages", (req, res) => {
+    res.json(telegram.messages(req.params.chatId));
+  });
+
+  /**
+   * Sends an update to a bot (`bot` names one from BOTS, default the first):
+   * a full telegram `update`, or `{ chat_id, text }` with optional `from_id`,
+   * `photo` (base64), `reply_to_message_id`, or `callback_data` and
+   * `message_id` for a button click.
+   */
+  app.post("/sandbox/updates", async (req, res) => {
+    const body = req.body || {};
+    const bot = getBot(body.bot || "default");
+    const errors = parseInjection(body);
+    if (!bot)
+      errors.bot = "must be the name of a configured bot";
+    if (Object.keys(errors).length > 0)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+    try {
+      res.json({ ok: true, ...await telegram.injectUpdate(bot.token, buildUpdate(telegram, body)) });
+    }
+    catch (e) {
+      res.status(502).json({ error: `failed to deliver the update: ${e.message}` });
+    }
+  });
+
+  // `{ method?, chat_id?, status: 429 | 403 | …, retry_after?, count? }` fails the next matching calls
+  app.post("/sandbox/faults", (req, res) => {
+    const status = Number(req.body?.status ?? 429);
+    if (!Number.isInteger(status) || status < 400 || status > 599)
+      return res.status(400).json({ error: "invalid request body", fields: { status: "must be an http error status such as 429 or 403" } });
+    res.status(201).json(telegram.addFault({ ...req.body, status }));
+  });
+
+  app.put("/sandbox/ai/rules", (req, res) => {
+    const { rules, errors } = parseScript(req.body);
+    if (errors)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+    ai.setRules(rules);
+    res.json({ ok: true, rules: ai.rules() });
+  });
+
+  // what the bot asked the AI, newest last
+  app.get("/sandbox/ai/requests", (req, res) => {
+    res.json(ai.requests());
+  });
+
+  // forgets messages, events, faults, queued updates and AI rules, registered webhooks stay
+  app.post("/sandbox/reset", (req, res) => {
+    telegram.reset();
+    ai.reset();
+    res.json({ ok: true });
+  });
+
+  return { app, telegram, ai };
+}
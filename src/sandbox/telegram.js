@@ -0,0 +1,318 @@
+import { Buffer } from "node:buffer";
+import axios from "axios";
+import express from "express";
+import multer from "multer";
+
+const MAX_EVENTS = 1000;
+const MAX_POLL_SECONDS = 25;
+const POLL_INTERVAL_MS = 100;
+// params the bot sends as json strings in multipart requests
+const JSON_PARAMS = ["reply_markup", "reply_parameters", "media", "entities", "caption_entities", "allowed_updates"];
+const SEND_METHODS = {
+  sendMessage: "text",
+  sendPhoto: "photo",
+  sendDocument: "document",
+  sendVideo: "video",
+  sendAudio: "audio",
+  sendAnimation: "animation",
+  sendVoice: "voice",
+};
+const ERROR_DESCRIPTIONS = {
+  400: "Bad Request: simulated error",
+  403: "Forbidden: bot was blocked by the user",
+  429: "Too Many Requests: retry after {retry_after}",
+  500: "Internal Server Error: simulated error",
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class TelegramError extends Error {
+  constructor(status, description, parameters) {
+    super(description);
+    this.status = status;
+    this.parameters = parameters;
+  }
+}
+
+export function chatOf(chatId) {
+  const id = String(chatId);
+  if (id.startsWith("@"))
+    return { id, type: "channel", username: id.slice(1) };
+  if (id.startsWith("-"))
+    return { id: Number(id), type: "supergroup", title: `Sandbox group ${id}` };
+  return { id: Number(id), type: "private", first_name: `User ${id}` };
+}
+
+// the bot a token stands for, "123:abc" is bot 123 like with telegram
+function botOf(token) {
+  const id = Number(token.split(":")[0]) || 1;
+  return { id, is_bot: true, first_name: "Sandbox bot", username: `sandbox${id}_bot` };
+}
+
+function parseParams(req) {
+  const params = { ...req.query, ...req.body };
+  for (const name of JSON_PARAMS) {
+    if (typeof params[name] === "string") {
+      try {
+        params[name] = JSON.parse(params[name]);
+      }
+      catch { /* kept as sent */ }
+    }
+  }
+  return params;
+}
+
+// what a sent file looks like in a message: uploads come as their own field or attach://<field>, urls and file ids as the value
+function attachmentOf(type, value, files) {
+  const upload = typeof value === "string" && value.startsWith("attach://") ? files.get(value.slice(9)) : value === undefined ? files.get(type) : undefined;
+  const file = { file_id: `sandbox-${type}-${Date.now()}`, file_name: upload?.originalname, source: upload ? "upload" : value };
+  return type === "photo" ? [file] : file;
+}
+
+/**
+ * A fake Telegram Bot API for the sandbox. It answers the methods the bot
+ * uses under `/bot<token>/<method>` like telegram does, keeps the messages of
+ * every chat in memory and records each send, edit and delete as an event.
+ * Updates are injected with `injectUpdate(token, update)`: they go to the
+ * webhook the bot registered with setWebhook or wait for its getUpdates.
+ * `addFault({ method, chat_id, status, retry_after, count })` makes the next
+ * matching calls fail with 429, 403 or any other error.
+ */
+export function createFakeTelegram() {
+  let events = [];
+  let faults = [];
+  let nextMessageId = 1;
+  let nextUpdateId = 1;
+  const chats = new Map(); // chat id ➜ message id ➜ message
+  const webhooks = new Map(); // token ➜ { url, secret_token }
+  const pendingUpdates = new Map(); // token ➜ updates waiting for getUpdates
+  const files = new Map(); // file id ➜ { file_path, buffer, mime_type }
+
+  function record(type, method, token, message, extra = {}) {
+    events.push({
+      type,
+      method,
+      bot: botOf(token).username,
+      chat_id: message.chat?.id ?? extra.chat_id,
+      message_id: message.message_id ?? extra.message_id,
+      text: message.text ?? message.caption,
+      reply_markup: message.reply_markup,
+      at: new Date().toISOString(),
+      ...extra,
+    });
+    if (events.length > MAX_EVENTS)
+      events = events.slice(-MAX_EVENTS);
+  }
+
+  function chatMessages(chatId) {
+    const key = String(chatId);
+    if (!chats.has(key))
+      chats.set(key, new Map());
+    return chats.get(key);
+  }
+
+  function findMessage(chatId, messageId) {
+    const message = chatMessages(chatId).get(Number(messageId));
+    if (!message)
+      throw new TelegramError(400, "Bad Request: message to edit not found");
+    return message;
+  }
+
+  function takeFault(method, chatId) {
+    const fault = faults.find(f => (!f.method || f.method === method) && (f.chat_id === undefined || String(f.chat_id) === String(chatId)));
+    if (!fault)
+      return;
+    fault.count -= 1;
+    if (fault.count <= 0)
+      faults = faults.filter(f => f !== fault);
+    const description = (fault.description || ERROR_DESCRIPTIONS[fault.status] || "Simulated error").replace("{retry_after}", fault.retry_after);
+    throw new TelegramError(fault.status, description, fault.status === 429 ? { retry_after: fault.retry_after } : undefined);
+  }
+
+  function createMessage(token, chatId, params, content) {
+    const message = {
+      message_id: nextMessageId++,
+      from: botOf(token),
+      chat: chatOf(chatId),
+      date: Math.floor(Date.now() / 1000),
+      ...content,
+      ...(params.reply_markup ? { reply_markup: params.reply_markup } : {}),
+      ...(params.reply_parameters ? { reply_to_message: { message_id: params.reply_parameters.message_id } } : {}),
+    };
+    chatMessages(chatId).set(message.message_id, message);
+    return message;
+  }
+
+  function sendMessage(token, method, params, uploads) {
+    const type = SEND_METHODS[method];
+    const content = type === "text"
+      ? { text: params.text }
+      : { [type]: attachmentOf(type, params[type], uploads), ...(params.caption ? { caption: params.caption } : {}) };
+    const message = createMessage(token, params.chat_id, params, content);
+    record("sent", method, token, message);
+    return message;
+  }
+
+  function sendMediaGroup(token, params, uploads) {
+    return (params.media || []).map((item) => {
+      const content = { [item.type]: attachmentOf(item.type, item.media, uploads), ...(item.caption ? { caption: item.caption } : {}) };
+      const message = createMessage(token, params.chat_id, params, content);
+      record("sent", "sendMediaGroup", token, message);
+      return message;
+    });
+  }
+
+  function edit(token, method, params) {
+    const message = findMessage(params.chat_id, params.message_id);
+    if (method === "editMessageText")
+      message.text = params.text;
+    if (method === "editMessageCaption")
+      message.caption = params.caption;
+    if (params.reply_markup !== undefined || method === "editMessageReplyMarkup") {
+      if (params.reply_markup)
+        message.reply_markup = params.reply_markup;
+      else
+        delete message.reply_markup;
+    }
+    message.edit_date = Math.floor(Date.now() / 1000);
+    record("edited", method, token, message);
+    return message;
+  }
+
+  function deleteMessage(token, params) {
+    findMessage(params.chat_id, params.message_id);
+    chatMessages(params.chat_id).delete(Number(params.message_id));
+    record("deleted", "deleteMessage", token, {}, { chat_id: chatOf(params.chat_id).id, message_id: Number(params.message_id) });
+    return true;
+  }
+
+  async function getUpdates(token, params) {
+    const offset = Number(params.offset) || 0;
+    const deadline = Date.now() + Math.min(Number(params.timeout) || 0, MAX_POLL_SECONDS) * 1000;
+    const queue = () => (pendingUpdates.get(token) || []).filter(update => update.update_id >= offset);
+    // like telegram, asking for an offset confirms every update before it
+    pendingUpdates.set(token, queue());
+    while (queue().length === 0 && Date.now() < deadline)
+      await sleep(POLL_INTERVAL_MS);
+    return queue();
+  }
+
+  async function call(token, method, params, uploads) {
+    takeFault(method, params.chat_id);
+    if (SEND_METHODS[method])
+      return sendMessage(token, method, params, uploads);
+    switch (method) {
+      case "getMe":
+        return botOf(token);
+      case "sendMediaGroup":
+        return sendMediaGroup(token, params, uploads);
+      case "editMessageText":
+      case "editMessageCaption":
+      case "editMessageReplyMarkup":
+      case "editMessageMedia":
+        return edit(token, method, params);
+      case "deleteMessage":
+        return deleteMessage(token, params);
+      case "setWebhook":
+        webhooks.set(token, { url: params.url, secret_token: params.secret_token });
+        return true;
+      case "deleteWebhook":
+        webhooks.delete(token);
+        return true;
+      case "getUpdates":
+        if (webhooks.has(token))
+          throw new TelegramError(409, "Conflict: can't use getUpdates method while webhook is active; use deleteWebhook to delete the webhook first");
+        return getUpdates(token, params);
+      case "getFile": {
+        const file = files.get(params.file_id);
+        if (!file)
+          throw new TelegramError(400, "Bad Request: invalid file_id");
+        return { file_id: params.file_id, file_size: file.buffer.length, file_path: file.file_path };
+      }
+      case "getChatMember":
+        return { status: "administrator", user: { id: Number(params.user_id), is_bot: false, first_name: `User ${params.user_id}` } };
+      case "getChat":
+        return chatOf(params.chat_id);
+      case "answerCallbackQuery":
+      case "sendChatAction":
+      case "setMyCommands":
+        return true;
+      default:
+        throw new TelegramError(404, "Not Found: method not found");
+    }
+  }
+
+  /**
+   * Hands an update to the bot with `token`: posted to its webhook (with its
+   * secret) or queued for getUpdates. Resolves with how it was delivered.
+   */
+  async function injectUpdate(token, update) {
+    const full = { ...update, update_id: nextUpdateId++ };
+    const webhook = webhooks.get(token);
+    if (!webhook) {
+      pendingUpdates.set(token, [...(pendingUpdates.get(token) || []), full]);
+      return { update_id: full.update_id, delivered: "queued" };
+    }
+    const res = await axios.post(webhook.url, full, {
+      headers: webhook.secret_token ? { "X-Telegram-Bot-Api-Secret-Token": webhook.secret_token } : {},
+      validateStatus: () => true,
+    });
+    return { update_id: full.update_id, delivered: "webhook", status: res.status };
+  }
+
+  // stores a file the bot can fetch with getFile, e.g. the photo of an injected update
+  function addFile(buffer, { mimeType = "application/octet-stream", filename = "file" } = {}) {
+    const fileId = `sandbox-file-${files.size + 1}`;
+    files.set(fileId, { buffer, mime_type: mimeType, file_path: `files/${files.size + 1}/${filename}` });
+    return { file_id: fileId, file_unique_id: fileId, file_size: buffer.length };
+  }
+
+  function addFault({ method, chat_id: chatId, status = 429, retry_after: retryAfter = 1, count = 1, description }) {
+    const fault = { method, chat_id: chatId, status: Number(status), retry_after: Number(retryAfter), count: Number(count), description };
+    faults.push(fault);
+    return fault;
+  }
+
+  function reset() {
+    events = [];
+    faults = [];
+    chats.clear();
+    pendingUpdates.clear();
+  }
+
+  const router = express.Router();
+  const upload = multer({ storage: multer.memoryStorage() }).any();
+
+  router.all("/bot:token/:method", upload, async (req, res) => {
+    const uploads = new Map((req.files || []).map(file => [file.fieldname, file]));
+    try {
+      const result = await call(req.params.token, req.params.method, parseParams(req), uploads);
+      res.json({ ok: true, result });
+    }
+    catch (e) {
+      if (!(e instanceof TelegramError))
+        throw e;
+      res.status(e.status).json({ ok: false, error_code: e.status, description: e.message, ...(e.parameters ? { parameters: e.parameters } : {}) });
+    }
+  });
+
+  router.get("/file/bot:token/*path", (req, res) => {
+    const path = [req.params.path].flat().join("/");
+    const file = [...files.values()].find(f => f.file_path === path);
+    if (!file)
+      return res.status(404).json({ ok: false, error_code: 404, description: "Not Found" });
+    res.type(file.mime_type).send(Buffer.from(file.buffer));
+  });
+
+  return {
+    router,
+    injectUpdate,
+    addFile,
+    addFault,
+    reset,
+    events: () => events,
+    faults: () => faults,
+    messages: chatId => [...chatMessages(chatId).values()],
+    webhooks: () => Object.fromEntries([...webhooks].map(([token, webhook]) => [botOf(token).username, webhook.url])),
+  };
+}
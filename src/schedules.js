@@ -0,0 +1,320 @@
+import { CronExpressionParser } from "cron-parser";
+import express from "express";
+import { claimDue, runWorker } from "./redis-scripts.js";
+
+const COLLECTION = "schedules";
+const QUEUE_KEY = "schedule_queue"; // zset: schedule id ➜ next fire time (ms)
+const FIRED_KEY_PREFIX = "schedule_fired:"; // one key per fire time, so a run never fires twice
+const LEASE_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+
+function isTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  }
+  catch {
+    return false;
+  }
+}
+
+// next fire time (ms) strictly after `from`, in the schedule's timezone
+export function nextRun(cron, timezone, from = Date.now()) {
+  return CronExpressionParser.parse(cron, { tz: timezone, currentDate: new Date(from) }).next().getTime();
+}
+
+function toResponse(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    cron: record.cron,
+    timezone: record.timezone,
+    payload: record.payload,
+    enabled: Boolean(record.enabled),
+    caller: record.caller,
+    next_run_at: record.next_run_at || null,
+    last_run_at: record.last_run_at || null,
+    last_error: record.last_error || null,
+    created: record.created,
+    updated: record.updated,
+  };
+}
+
+function parseScheduleBody(body, { partial = false } = {}) {
+  const errors = {};
+  const value = {};
+  const { name, cron, timezone, payload, enabled } = body || {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim())
+      errors.name = "is required";
+    else
+      value.name = name.trim();
+  }
+  if (!partial || cron !== undefined) {
+    try {
+      if (typeof cron !== "string")
+        throw new Error("is required");
+      CronExpressionParser.parse(cron);
+      value.cron = cron;
+    }
+    catch (e) {
+      errors.cron = `must be a cron expression (${e.message})`;
+    }
+  }
+  if (timezone !== undefined || !partial) {
+    const tz = timezone ?? "UTC";
+    if (typeof tz !== "string" || !isTimezone(tz))
+      errors.timezone = "must be an IANA timezone such as Europe/Istanbul";
+    else
+      value.timezone = tz;
+  }
+  if (!partial || payload !== undefined) {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload))
+      errors.payload = "must be a /notify body";
+    else if (payload.send_at !== undefined)
+      errors["payload.send_at"] = "is not allowed in a schedule";
+    else
+      value.payload = payload;
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== "boolean")
+      errors.enabled = "must be a boolean";
+    else
+      value.enabled = enabled;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+}
+
+/**
+ * Recurring notifications. Schedules are stored in PocketBase, their next
+ * fire times in a redis zset shared by every app instance. A run is claimed
+ * with a lease and marked as fired in redis, so a restart resumes it and two
+ * instances never send it twice.
+ *
+ * `findApiKey(id)` returns the key a schedule runs with, null when it is gone.
+ * `prepare(body, files, apiKey)` validates a /notify body like the route does
+ * and `dispatch` queues it for one chat like /notify does.
+ */
+export function createSchedules({ pb, redis, requireApiKey, hasScope, findApiKey, prepare, dispatch }) {
+  const collection = () => pb.collection(COLLECTION);
+  let running = false;
+  let worker = null;
+
+  async function plan(record, from = Date.now()) {
+    if (!record.enabled) {
+      await redis.zRem(QUEUE_KEY, record.id);
+      return null;
+    }
+    const next = nextRun(record.cron, record.timezone, from);
+    await redis.zAdd(QUEUE_KEY, { score: next, value: record.id });
+    return next;
+  }
+
+  async function disable(record, reason) {
+    await redis.zRem(QUEUE_KEY, record.id);
+    await collection().update(record.id, { enabled: false, next_run_at: "", last_error: reason });
+    console.warn(`⚠️ Schedule ${record.id} (${record.name}) disabled: ${reason}`);
+  }
+
+  async function fire(id, fireTime) {
+    let record;
+    try {
+      record = await collection().getOne(id);
+    }
+    catch (e) {
+      if (e.status === 404)
+        return redis.zRem(QUEUE_KEY, id);
+      throw e;
+    }
+    if (!record.enabled)
+      return redis.zRem(QUEUE_KEY, id);
+
+    const firstClaim = await redis.set(`${FIRED_KEY_PREFIX}${id}:${fireTime}`, "1", { NX: true, EX: 24 * 60 * 60 });
+    let lastError = "";
+    if (firstClaim) {
+      // caller is the id of the key that created the schedule, checked again so a revoked or deleted key stops it
+      const apiKey = await findApiKey(record.caller);
+      if (!apiKey || apiKey.revoked)
+        return disable(record, "the api key that created this schedule is gone or revoked");
+
+      const prepared = await prepare(record.payload, [], apiKey);
+      if (prepared.error) {
+        lastError = prepared.error;
+        console.warn(`⚠️ Schedule ${id} (${record.name}) skipped: ${prepared.error}`, prepared.fields || "");
+      }
+      else {
+        for (const chatId of prepared.value.chatIds)
+          await dispatch(chatId, prepared.value, { caller: record.caller });
+      }
+    }
+
+    // runs missed while every instance was down are not caught up, only the next one is planned
+    const next = await plan(record, Math.max(Date.now(), fireTime));
+    await collection().update(id, {
+      last_run_at: new Date(fireTime).toISOString(),
+      next_run_at: next ? new Date(next).toISOString() : "",
+      last_error: lastError,
+    });
+  }
+
+  // fires one due schedule, false when none is due
+  async function fireDue() {
+    const claimed = await claimDue(redis, QUEUE_KEY, LEASE_MS);
+    if (!claimed)
+      return false;
+    await fire(claimed.id, claimed.score);
+    return true;
+  }
+
+  // puts enabled schedules that redis does not know (e.g. after a flush) back on the queue
+  async function sync() {
+    const records = await collection().getFullList({ filter: "enabled = true" });
+    for (const record of records) {
+      const next = nextRun(record.cron, record.timezone);
+      await redis.zAdd(QUEUE_KEY, { score: next, value: record.id }, { NX: true });
+    }
+  }
+
+  async function start() {
+    if (running)
+      return;
+    running = true;
+    try {
+      await sync();
+    }
+    catch (e) {
+      console.warn("⚠️ Failed to sync schedules:", e.message);
+    }
+    // stop() may have been called during the sync
+    if (running)
+      worker = runWorker({ tick: fireDue, idleMs: POLL_INTERVAL_MS, onError: e => console.warn("Scheduler error:", e.message) });
+  }
+
+  async function stop() {
+    running = false;
+    await worker?.stop();
+    worker = null;
+  }
+
+  // schedules belong to the key that created them, admin keys see all of them
+  async function findOwned(req, res) {
+    try {
+      const record = await collection().getOne(req.params.id);
+      if (hasScope(req.apiKey, "admin") || record.caller === req.caller)
+        return record;
+    }
+    catch (e) {
+      if (e.status !== 404)
+        throw e;
+    }
+    res.status(404).json({ error: "schedule not found" });
+    return null;
+  }
+
+  async function checkPayload(req, res, payload) {
+    const prepared = await prepare(payload, [], req.apiKey);
+    if (!prepared.error)
+      return true;
+    const { status, fields, ...error } = prepared;
+    const prefixed = fields && Object.fromEntries(Object.entries(fields).map(([key, message]) => [`payload.${key}`, message]));
+    res.status(status).json({ ...error, fields: prefixed });
+    return false;
+  }
+
+  const router = express.Router();
+  router.use(requireApiKey("notify"));
+
+  router.get("/", async (req, res) => {
+    try {
+      const filter = hasScope(req.apiKey, "admin") ? "" : pb.filter("caller = {:caller}", { caller: req.caller });
+      const records = await collection().getFullList({ filter, sort: "name" });
+      res.json(records.map(toResponse));
+    }
+    catch (e) {
+      console.warn("Schedule list error:", e.message);
+      res.status(502).json({ error: "failed to fetch schedules" });
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const record = await findOwned(req, res);
+      if (record)
+        res.json(toResponse(record));
+    }
+    catch (e) {
+      console.warn("Schedule fetch error:", e.message);
+      res.status(502).json({ error: "failed to fetch schedule" });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const { value, errors } = parseScheduleBody(req.body);
+    if (errors)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+    if (!await checkPayload(req, res, value.payload))
+      return;
+
+    try {
+      const enabled = value.enabled ?? true;
+      const next = enabled ? nextRun(value.cron, value.timezone) : null;
+      const record = await collection().create({
+        ...value,
+        enabled,
+        caller: req.caller,
+        next_run_at: next ? new Date(next).toISOString() : "",
+      });
+      await plan(record);
+      res.status(201).json(toResponse(record));
+    }
+    catch (e) {
+      console.warn("Schedule create error:", e.message);
+      res.status(502).json({ error: "failed to create schedule" });
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    const { value, errors } = parseScheduleBody(req.body, { partial: true });
+    if (errors)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+    if (value.payload && !await checkPayload(req, res, value.payload))
+      return;
+
+    try {
+      const record = await findOwned(req, res);
+      if (!record)
+        return;
+      const merged = { ...record, ...value };
+      const next = merged.enabled ? nextRun(merged.cron, merged.timezone) : null;
+      const updated = await collection().update(record.id, {
+        ...value,
+        next_run_at: next ? new Date(next).toISOString() : "",
+      });
+      await plan(updated);
+      res.json(toResponse(updated));
+    }
+    catch (e) {
+      console.warn("Schedule update error:", e.message);
+      res.status(502).json({ error: "failed to update schedule" });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const record = await findOwned(req, res);
+      if (!record)
+        return;
+      await collection().delete(record.id);
+      await redis.zRem(QUEUE_KEY, record.id);
+      res.sendStatus(204);
+    }
+    catch (e) {
+      console.warn("Schedule delete error:", e.message);
+      res.status(502).json({ error: "failed to delete schedule" });
+    }
+  });
+
+  return { router, start, stop };
+}
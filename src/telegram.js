@@ -0,0 +1,197 @@
+import axios from "axios";
+import { currentBot } from "./bots.js";
+import { TELEGRAM_API_URL } from "./config.js";
+import { toPlainText } from "./formatter.js";
+import { telegramRateLimits, telegramRequests } from "./metrics.js";
+
+// a call that hangs fails well within the queues' 60s claim leases, so no other worker sends the job a second time
+const REQUEST_TIMEOUT_MS = 20 * 1000;
+
+// keeps the http status and telegram's retry_after so callers can decide to retry
+function describeError(e) {
+  return {
+    error: e.response?.data?.description || e.message,
+    status: e.response?.status,
+    retry_after: e.response?.data?.parameters?.retry_after,
+  };
+}
+
+// calls a bot api method as the current bot and returns its result, params may be json or FormData;
+// long polls pass a longer timeout in `config`
+export async function callTelegram(method, params = {}, config = {}) {
+  const timer = telegramRequests.startTimer({ method });
+  try {
+    const res = await axios.post(`${TELEGRAM_API_URL}/bot${currentBot().token}/${method}`, params, {
+      maxBodyLength: Infinity,
+      timeout: REQUEST_TIMEOUT_MS,
+      ...config,
+    });
+    timer({ status: res.status });
+    return res.data.result;
+  }
+  catch (e) {
+    // network errors have no status
+    timer({ status: e.response?.status || "error" });
+    if (e.response?.status === 429)
+      telegramRateLimits.inc({ method });
+    throw e;
+  }
+}
+
+// sends formatted text and, when telegram cannot parse its markup, the same text once more without it
+async function callFormatted(method, params, field) {
+  try {
+    return await callTelegram(method, params);
+  }
+  catch (e) {
+    if (!params.parse_mode || !/can't parse entities/i.test(describeError(e).error))
+      throw e;
+    console.warn(`⚠️ Telegram could not parse ${params.parse_mode} in ${method}, resending as plain text:`, describeError(e).error);
+    return callTelegram(method, { ...params, [field]: toPlainText(params[field], params.parse_mode), parse_mode: undefined });
+  }
+}
+
+// notify function, extra params are passed to sendMessage as they are
+export async function sendNotification(chatId, text, options = {}) {
+  try {
+    const result = await callFormatted("sendMessage", {
+      chat_id: chatId,
+      text,
+      parse_mode: "HTML",
+      disable_web_page_preview: false,
+      ...options,
+    }, "text");
+    return { ok: true, data: result };
+  }
+  catch (e) {
+    return describeError(e);
+  }
+}
+
+// uploads go out as multipart, nested params have to be json encoded there
+function toFormData(params, files) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined)
+      form.append(key, typeof value === "object" ? JSON.stringify(value) : String(value));
+  }
+  for (const { name, attachment } of files)
+    form.append(name, new Blob([attachment.buffer], { type: attachment.mimeType }), attachment.filename);
+  return form;
+}
+
+/**
+ * Sends one attachment with sendPhoto/sendDocument, or several as an album
+ * with sendMediaGroup. The caption is formatted like sendNotification text.
+ */
+export async function sendMediaNotification(chatId, attachments, caption, options = {}) {
+  const { parse_mode: parseMode, reply_markup: replyMarkup, ...rest } = { parse_mode: "HTML", ...options };
+  const files = [];
+  let method;
+  let params;
+
+  if (attachments.length === 1) {
+    const [attachment] = attachments;
+    method = attachment.type === "photo" ? "sendPhoto" : "sendDocument";
+    if (attachment.buffer)
+      files.push({ name: attachment.type, attachment });
+    params = {
+      chat_id: chatId,
+      [attachment.type]: attachment.url,
+      caption,
+      parse_mode: parseMode,
+      reply_markup: replyMarkup,
+      ...rest,
+    };
+  }
+  else {
+    method = "sendMediaGroup";
+    const media = attachments.map((attachment, i) => {
+      if (attachment.buffer)
+        files.push({ name: `file${i}`, attachment });
+      return {
+        type: attachment.type,
+        media: attachment.url || `attach://file${i}`,
+        // an album shows the caption of its first item
+        caption: i === 0 ? caption : undefined,
+        parse_mode: i === 0 ? parseMode : undefined,
+      };
+    });
+    params = { chat_id: chatId, media, ...rest };
+  }
+
+  try {
+    const result = await callTelegram(method, files.length > 0 ? toFormData(params, files) : params);
+    return { ok: true, data: result };
+  }
+  catch (e) {
+    return describeError(e);
+  }
+}
+
+// messages sent with attachments carry a caption instead of a text
+export function isMediaMessage(message) {
+  return Boolean(message.photo || message.document || message.caption !== undefined);
+}
+
+/**
+ * Replaces the text of a sent message, or its caption when it was a media
+ * message, together with its buttons. Without a text only the buttons are
+ * replaced. When `media` is not known the caption is edited once telegram
+ * finds no text to edit. An unchanged message counts as success.
+ */
+export async function editNotification(chatId, messageId, text, { media, ...options } = {}) {
+  const target = { chat_id: chatId, message_id: messageId };
+  const editCaption = () => callFormatted("editMessageCaption", { ...target, caption: text, parse_mode: "HTML", ...options }, "caption");
+  try {
+    let result;
+    if (text === undefined) {
+      result = await callTelegram("editMessageReplyMarkup", { ...target, reply_markup: options.reply_markup });
+    }
+    else if (media) {
+      result = await editCaption();
+    }
+    else {
+      try {
+        result = await callFormatted("editMessageText", { ...target, text, parse_mode: "HTML", ...options }, "text");
+      }
+      catch (e) {
+        if (media === false || !/no text in the message/i.test(describeError(e).error))
+          throw e;
+        result = await editCaption();
+      }
+    }
+    return { ok: true, data: result };
+  }
+  catch (e) {
+    const failure = describeError(e);
+    if (/message is not modified/i.test(failure.error))
+      return { ok: true, data: null };
+    return failure;
+  }
+}
+
+// bots may only delete their own messages from the last 48 hours
+export async function deleteNotification(chatId, messageId) {
+  try {
+    const result = await callTelegram("deleteMessage", { chat_id: chatId, message_id: messageId });
+    return { ok: true, data: result };
+  }
+  catch (e) {
+    return describeError(e);
+  }
+}
+
+// sends a parsed /notify payload to one chat
+export function deliverNotification(chatId, { text, attachments = [], options }) {
+  if (attachments.length > 0)
+    return sendMediaNotification(chatId, attachments, text, options);
+  return sendNotification(chatId, text, options);
+}
+
+export async function getTelegramFileUrl(fileId) {
+  const { token } = currentBot();
+  const res = await axios.get(`${TELEGRAM_API_URL}/bot${token}/getFile?file_id=${fileId}`);
+  const filePath = res.data.result.file_path;
+  return `${TELEGRAM_API_URL}/file/bot${token}/${filePath}`;
+}
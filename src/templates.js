@@ -0,0 +1,255 @@
+import express from "express";
+import { escapeHtml } from "./html.js";
+import { PARSE_MODES } from "./notify-payload.js";
+
+const COLLECTION = "templates";
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const TEMPLATE_NAME = /^\w{1,64}$/;
+
+const ESCAPES = {
+  HTML: escapeHtml,
+  MarkdownV2: value => value.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, "\\$&"),
+  plain: value => value,
+};
+
+// escapes a value for the parse mode, e.g. a user name put into a message
+export function escapeText(value, parseMode = "HTML") {
+  return ESCAPES[parseMode](String(value));
+}
+
+function lookup(vars, path) {
+  return path.split(".").reduce((value, key) => value !== null && typeof value === "object" ? value[key] : undefined, vars);
+}
+
+function stringify(value) {
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function substitute(source, vars, escape, missing) {
+  return source.replace(PLACEHOLDER, (_, path) => {
+    const value = lookup(vars, path);
+    if (value === undefined || value === null) {
+      missing.add(path);
+      return "";
+    }
+    return escape(stringify(value));
+  });
+}
+
+/**
+ * Fills `{{name}}` and `{{nested.name}}` placeholders from vars. Values in
+ * the text are escaped for the parse mode, values in button urls are url
+ * encoded and values in callback_data are left as they are. Returns the rendered text and buttons plus any missing variables.
+ */
+export function renderTemplate(template, vars = {}, parseMode = template.parse_mode || "HTML") {
+  const missing = new Set();
+  const text = substitute(template.body, vars, ESCAPES[parseMode], missing);
+
+  let buttons;
+  if (Array.isArray(template.buttons) && template.buttons.length > 0) {
+    const renderButton = (button) => {
+      const text = substitute(String(button.text ?? ""), vars, ESCAPES.plain, missing);
+      if (button.callback_data !== undefined)
+        return { text, callback_data: substitute(String(button.callback_data), vars, ESCAPES.plain, missing) };
+      return { text, url: substitute(String(button.url ?? ""), vars, encodeURIComponent, missing) };
+    };
+    buttons = template.buttons.map(row => Array.isArray(row) ? row.map(renderButton) : renderButton(row));
+  }
+
+  return { text, parse_mode: parseMode, buttons, missing: [...missing] };
+}
+
+function toResponse(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    description: record.description || "",
+    body: record.body,
+    parse_mode: record.parse_mode || "HTML",
+    buttons: record.buttons || null,
+    created: record.created,
+    updated: record.updated,
+  };
+}
+
+function parseTemplateBody(body, { partial = false } = {}) {
+  const errors = {};
+  const value = {};
+  const { name, description, body: source, parse_mode: parseMode, buttons } = body || {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !TEMPLATE_NAME.test(name))
+      errors.name = "must be 1-64 letters, digits or underscores";
+    else
+      value.name = name;
+  }
+  if (!partial || source !== undefined) {
+    if (typeof source !== "string" || !source.trim())
+      errors.body = "is required";
+    else
+      value.body = source;
+  }
+  if (parseMode !== undefined) {
+    if (!PARSE_MODES.includes(parseMode))
+      errors.parse_mode = `must be one of ${PARSE_MODES.join(", ")}`;
+    else
+      value.parse_mode = parseMode;
+  }
+  if (description !== undefined) {
+    if (typeof description !== "string")
+      errors.description = "must be a string";
+    else
+      value.description = description;
+  }
+  if (buttons !== undefined) {
+    if (buttons !== null && !Array.isArray(buttons))
+      errors.buttons = "must be an array of button rows or null";
+    else
+      value.buttons = buttons;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+}
+
+/**
+ * Named notification templates stored in PocketBase, with an admin CRUD
+ * router and the `{ template, vars }` expansion used by /notify.
+ */
+export function createTemplates({ pb, requireApiKey }) {
+  const collection = () => pb.collection(COLLECTION);
+
+  async function find(name) {
+    try {
+      return await collection().getFirstListItem(pb.filter("name = {:name}", { name }));
+    }
+    catch (e) {
+      if (e.status === 404)
+        return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Turns a `{ template, vars, … }` /notify body into a plain one with text,
+   * parse_mode and buttons. Fields given in the body win over the template's
+   * defaults. Bodies without a template are returned untouched.
+   */
+  async function expand(body) {
+    if (!body || body.template === undefined)
+      return { body };
+
+    const { template: name, vars = {}, ...rest } = body;
+    const errors = {};
+    if (typeof name !== "string" || !name)
+      errors.template = "must be a template name";
+    if (!vars || typeof vars !== "object" || Array.isArray(vars))
+      errors.vars = "must be an object";
+    if (rest.text !== undefined)
+      errors.text = "cannot be combined with template";
+    if (rest.parse_mode !== undefined && !PARSE_MODES.includes(rest.parse_mode))
+      errors.parse_mode = `must be one of ${PARSE_MODES.join(", ")}`;
+    if (Object.keys(errors).length > 0)
+      return { status: 400, error: "invalid request body", fields: errors };
+
+    const template = await find(name);
+    if (!template)
+      return { status: 404, error: `template "${name}" not found` };
+
+    const rendered = renderTemplate(template, vars, rest.parse_mode);
+    if (rendered.missing.length > 0) {
+      const fields = Object.fromEntries(rendered.missing.map(path => [`vars.${path}`, "is required by the template"]));
+      return { status: 400, error: "missing template variables", fields };
+    }
+
+    return {
+      body: {
+        ...rest,
+        text: rendered.text,
+        parse_mode: rendered.parse_mode,
+        buttons: rest.buttons ?? rendered.buttons,
+      },
+    };
+  }
+
+  // admin endpoints, mounted under /admin/templates
+  const router = express.Router();
+  router.use(requireApiKey("admin"));
+
+  router.get("/", async (req, res) => {
+    try {
+      const records = await collection().getFullList({ sort: "name" });
+      res.json(records.map(toResponse));
+    }
+    catch (e) {
+      console.warn("Template list error:", e.message);
+      res.status(502).json({ error: "failed to fetch templates" });
+    }
+  });
+
+  router.get("/:name", async (req, res) => {
+    try {
+      const record = await find(req.params.name);
+      if (!record)
+        return res.status(404).json({ error: "template not found" });
+      res.json(toResponse(record));
+    }
+    catch (e) {
+      console.warn("Template fetch error:", e.message);
+      res.status(502).json({ error: "failed to fetch template" });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const { value, errors } = parseTemplateBody(req.body);
+    if (errors)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+
+    try {
+      if (await find(value.name))
+        return res.status(409).json({ error: "a template with this name already exists" });
+      const record = await collection().create({ parse_mode: "HTML", ...value });
+      res.status(201).json(toResponse(record));
+    }
+    catch (e) {
+      console.warn("Template create error:", e.message);
+      res.status(502).json({ error: "failed to create template" });
+    }
+  });
+
+  router.patch("/:name", async (req, res) => {
+    const { value, errors } = parseTemplateBody(req.body, { partial: true });
+    if (errors)
+      return res.status(400).json({ error: "invalid request body", fields: errors });
+
+    try {
+      const record = await find(req.params.name);
+      if (!record)
+        return res.status(404).json({ error: "template not found" });
+      // renaming onto another template is refused like creating it twice
+      if (value.name !== undefined && value.name !== record.name && await find(value.name))
+        return res.status(409).json({ error: "a template with this name already exists" });
+      const updated = await collection().update(record.id, value);
+      res.json(toResponse(updated));
+    }
+    catch (e) {
+      console.warn("Template update error:", e.message);
+      res.status(502).json({ error: "failed to update template" });
+    }
+  });
+
+  router.delete("/:name", async (req, res) => {
+    try {
+      const record = await find(req.params.name);
+      if (!record)
+        return res.status(404).json({ error: "template not found" });
+      await collection().delete(record.id);
+      res.sendStatus(204);
+    }
+    catch (e) {
+      console.warn("Template delete error:", e.message);
+      res.status(502).json({ error: "failed to delete template" });
+    }
+  });
+
+  return { expand, router };
+}
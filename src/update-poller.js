@@ -0,0 +1,80 @@
+import { randomUUID } from "node:crypto";
+import { holdLock, releaseLock, runWorker } from "./redis-scripts.js";
+import { callTelegram } from "./telegram.js";
+
+// redis keys
+const OFFSET_KEY = "telegram_update_offset"; // string: id of the next update to fetch
+const LOCK_KEY = "telegram_poll_lock"; // string: instance that may call getUpdates
+
+// the updates setup-webhook.js registers for the webhook
+const ALLOWED_UPDATES = ["message", "callback_query"];
+const POLL_TIMEOUT_SECONDS = 25;
+const LOCK_TTL_MS = 60 * 1000;
+const RETRY_DELAY_MS = 5000;
+
+/**
+ * getUpdates long polling, the alternative to the telegram webhook for hosts
+ * without a public https url. Telegram allows one poller per bot, so the app
+ * instances share a redis lock and only its holder polls. The offset is kept
+ * in redis, a restart or another instance carries on where it stopped.
+ * Updates are handed to `handleUpdate(update)` without waiting, like the
+ * webhook answers telegram before handling them.
+ */
+export function createUpdatePoller({ redis, handleUpdate }) {
+  const owner = randomUUID();
+  let running = false;
+  let worker = null;
+
+  async function pollOnce() {
+    const offset = Number(await redis.get(OFFSET_KEY)) || 0;
+    const updates = await callTelegram("getUpdates", {
+      offset,
+      timeout: POLL_TIMEOUT_SECONDS,
+      allowed_updates: ALLOWED_UPDATES,
+    }, { timeout: (POLL_TIMEOUT_SECONDS + 10) * 1000 });
+
+    for (const update of updates) {
+      // confirmed before handling: an update that crashes the handler is not fetched forever
+      await redis.set(OFFSET_KEY, String(update.update_id + 1));
+      handleUpdate(update).catch(e => console.warn("Update handler error:", e.message));
+    }
+  }
+
+  // polls while this instance holds the lock, false while another one does
+  async function poll() {
+    if (!await holdLock(redis, LOCK_KEY, owner, LOCK_TTL_MS))
+      return false;
+    await pollOnce();
+    return true;
+  }
+
+  async function start() {
+    if (running)
+      return;
+    running = true;
+    try {
+      // getUpdates is refused while a webhook is set
+      await callTelegram("deleteWebhook");
+    }
+    catch (e) {
+      console.warn("⚠️ Failed to delete the telegram webhook:", e.response?.data?.description || e.message);
+    }
+    console.warn("📥 Polling telegram for updates");
+    if (running) {
+      worker = runWorker({
+        tick: poll,
+        idleMs: RETRY_DELAY_MS,
+        onError: e => console.warn("Update polling error:", e.response?.data?.description || e.message),
+      });
+    }
+  }
+
+  async function stop() {
+    running = false;
+    await worker?.stop();
+    worker = null;
+    await releaseLock(redis, LOCK_KEY, owner);
+  }
+
+  return { start, stop };
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { findCut, sanitizeHtml, splitHtml, toPlainText } from "../src/formatter.js";
+
+// the text a reader sees, whitespace at the cuts aside
+function visibleText(chunks) {
+  return chunks.map(chunk => toPlainText(chunk)).join(" ").replace(/\s+/g, " ").trim();
+}
+
+describe("sanitizeHtml", () => {
+  it("keeps telegram's tags and turns common aliases into them", () => {
+    expect(sanitizeHtml("<strong>bold</strong> <em>it</em> <del>gone</del> <code>x</code>"))
+      .toBe("<b>bold</b> <i>it</i> <s>gone</s> <code>x</code>");
+  });
+
+  it("escapes tags telegram does not know and strips attributes it does not take", () => {
+    expect(sanitizeHtml("<script>alert(1)</script><b onclick=\"steal()\">hi</b> <img src=x>"))
+      .toBe("&lt;script&gt;alert(1)&lt;/script&gt;<b>hi</b> &lt;img src=x&gt;");
+    expect(sanitizeHtml("<a href=\"https://example.com\" target=\"_blank\">ok</a> <a href=\"javascript:alert(1)\">bad</a> <span class=\"x\">plain</span>"))
+      .toBe("<a href=\"https://example.com\">ok</a> bad plain");
+  });
+
+  it("closes tags left open and escapes stray markup", () => {
+    expect(sanitizeHtml("<b><i>open & 1 < 2")).toBe("<b><i>open &amp; 1 &lt; 2</i></b>");
+  });
+});
+
+describe("splitHtml", () => {
+  it("closes and reopens nested tags at a cut", () => {
+    const html = `<b><i>${"word ".repeat(60).trim()}</i></b>`;
+    const chunks = splitHtml(html, 100);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(100);
+      expect(chunk).toMatch(/^<b><i>.*<\/i><\/b>$/s);
+    }
+    expect(visibleText(chunks)).toBe(toPlainText(html));
+  });
+
+  it("never cuts inside an entity at the limit", () => {
+    const html = `${"a".repeat(95)}&amp;${"b".repeat(20)}`;
+    expect(findCut(html, 98)).toBe(95);
+
+    const chunks = splitHtml(html, 98);
+    expect(chunks).toEqual(["a".repeat(95), `&amp;${"b".repeat(20)}`]);
+  });
+
+  it("terminates on a word or a tag longer than the limit", () => {
+    const word = "x".repeat(250);
+    const chunks = splitHtml(word, 100);
+    expect(chunks.map(chunk => chunk.length)).toEqual([100, 100, 50]);
+    expect(chunks.join("")).toBe(word);
+
+    // a link whose tag cannot fit into a message keeps its text
+    const link = `<a href="https://example.com/${"p".repeat(200)}">the link</a> ${"more ".repeat(30).trim()}`;
+    const linkChunks = splitHtml(link, 100);
+    expect(linkChunks.every(chunk => chunk.length <= 100)).toBe(true);
+    expect(linkChunks.join("")).not.toContain("href");
+    expect(visibleText(linkChunks)).toBe(toPlainText(link));
+  });
+});
+
+describe("toPlainText", () => {
+  it("drops the markup of a message telegram could not parse", () => {
+    expect(toPlainText("<b>1 &lt; 2</b> &amp; <a href=\"https://example.com\">more</a>")).toBe("1 < 2 & more");
+    expect(toPlainText("1\\. \\*not bold\\*", "MarkdownV2")).toBe("1. *not bold*");
+    expect(toPlainText("<b>as written</b>", "plain")).toBe("<b>as written</b>");
+  });
+});
@@ -0,0 +1,67 @@
+import { once } from "node:events";
+import express from "express";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { createHooksRouter } from "../src/hooks/index.js";
+
+function alertmanagerPayload(status) {
+  return {
+    groupKey: "{}:{alertname=\"DiskFull\"}",
+    groupLabels: { alertname: "DiskFull" },
+    alerts: [{ status, labels: { alertname: "DiskFull", instance: "db-1" } }],
+  };
+}
+
+describe("hooks", () => {
+  const calls = [];
+  const dispatch = vi.fn(async (chatId, value) => {
+    calls.push(["dispatch", value.externalId]);
+    return { job: { id: `job-${calls.length}` } };
+  });
+  const forget = vi.fn(async (chatId, value) => {
+    calls.push(["forget", value.externalId]);
+  });
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/hooks", createHooksRouter({
+      requireApiKey: () => (req, res, next) => next(),
+      forbiddenChats: () => [],
+      dispatch,
+      forget,
+    }));
+    server = app.listen(0);
+    await once(server, "listening");
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  async function post(body) {
+    calls.length = 0;
+    const res = await fetch(`${url}/hooks/alertmanager?chat_id=42`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    expect(res.status).toBe(202);
+    return calls.map(([call]) => call);
+  }
+
+  it("sends firing alert groups as new messages", async () => {
+    expect(await post(alertmanagerPayload("firing"))).toEqual(["forget", "dispatch"]);
+    // a repeat_interval reminder notifies again
+    expect(await post(alertmanagerPayload("firing"))).toEqual(["forget", "dispatch"]);
+    expect(dispatch.mock.lastCall[1].payload.options.disable_notification).toBe(false);
+  });
+
+  it("lets only the resolution update the group's message, once", async () => {
+    expect(await post(alertmanagerPayload("resolved"))).toEqual(["dispatch", "forget"]);
+    expect(dispatch.mock.lastCall[1].externalId).toBe("{}:{alertname=\"DiskFull\"}");
+    expect(dispatch.mock.lastCall[1].payload.options.disable_notification).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createNotifyQueue } from "../src/notify-queue.js";
+import { createMemoryRedis } from "./support/memory-redis.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("notify queue", () => {
+  let queue;
+
+  beforeEach(() => {
+    // only the clock is faked, the workers keep polling on real timers
+    vi.useFakeTimers({ toFake: ["Date"] });
+  });
+
+  afterEach(async () => {
+    await queue?.stop();
+    vi.useRealTimers();
+  });
+
+  it("keeps a notification scheduled past the job ttl until it is sent", async () => {
+    const redis = createMemoryRedis();
+    const send = vi.fn(async () => ({ ok: true, data: { message_id: 7 } }));
+    queue = createNotifyQueue({ redis, send });
+
+    const runAt = Date.now() + 30 * DAY_MS;
+    const job = await queue.enqueue(42, { text: "in a month" }, { runAt });
+    expect(await redis.ttl(`notify_job:${job.id}`)).toBeGreaterThan(37 * DAY_MS / 1000 - 5);
+
+    vi.setSystemTime(runAt + 1000);
+    queue.start(1);
+    await vi.waitFor(async () => expect((await queue.getJob(job.id))?.status).toBe("sent"));
+    expect(send).toHaveBeenCalledWith(42, expect.objectContaining({ text: "in a month" }));
+  });
+
+  it("keeps a retried notification for the job ttl from its retry", async () => {
+    const redis = createMemoryRedis();
+    const send = vi.fn(async () => ({ error: "Bad Gateway", status: 502 }));
+    queue = createNotifyQueue({ redis, send });
+
+    const runAt = Date.now() + 30 * DAY_MS;
+    const job = await queue.enqueue(42, { text: "in a month" }, { runAt });
+    vi.setSystemTime(runAt + 1000);
+    queue.start(1);
+    await vi.waitFor(async () => expect((await queue.getJob(job.id))?.status).toBe("retrying"));
+    expect(await redis.ttl(`notify_job:${job.id}`)).toBeGreaterThan(7 * DAY_MS / 1000 - 5);
+  });
+
+  it("keeps failed broadcast messages out of the dead letters", async () => {
+    const redis = createMemoryRedis();
+    const send = vi.fn(async () => ({ error: "Forbidden: bot was blocked by the user", status: 403 }));
+    const onChange = vi.fn();
+    queue = createNotifyQueue({ redis, send, onChange });
+
+    const broadcast = await queue.enqueue(42, { text: "news" }, { meta: { kind: "broadcast", broadcast_id: "b1" } });
+    const alert = await queue.enqueue(43, { text: "disk full" });
+    queue.start(1);
+    await vi.waitFor(async () => {
+      expect((await queue.getJob(broadcast.id))?.status).toBe("failed");
+      expect((await queue.getJob(alert.id))?.status).toBe("failed");
+    });
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ id: broadcast.id, status: "failed" }));
+    const deadLetters = (await redis.lRange("notify_dead_letters", 0, -1)).map(job => JSON.parse(job).id);
+    expect(deadLetters).toEqual([alert.id]);
+  });
+});
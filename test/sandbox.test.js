@@ -0,0 +1,155 @@
+import { Buffer } from "node:buffer";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import process from "node:process";
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { createMemoryPocketBase } from "./support/memory-pocketbase.js";
+import { createMemoryRedis } from "./support/memory-redis.js";
+
+const WEATHER = "It is 21°C and sunny in the sandbox today.";
+
+async function listen(server) {
+  server.listen(0);
+  await once(server, "listening");
+  return `http://localhost:${server.address().port}`;
+}
+
+describe("sandbox", () => {
+  const sandboxServer = createServer();
+  const botServer = createServer();
+  let sandboxUrl;
+  let sandbox;
+  let telegram;
+  let memoryPb;
+  let chatBot;
+
+  async function post(path, body) {
+    const res = await fetch(`${sandboxUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    expect(res.status, path).toBeLessThan(300);
+    return res.json();
+  }
+
+  // the sends of the bot, without the chat actions
+  const sent = chatId => sandbox.telegram.events().filter(event => event.method === "sendMessage" && event.chat_id === chatId);
+
+  beforeAll(async () => {
+    sandboxUrl = await listen(sandboxServer);
+    // config.js reads the environment once, so it is set before the first import
+    Object.assign(process.env, {
+      BOT_TOKEN: "100:sandbox",
+      BOTS: "",
+      SECRET_TOKEN: "sandbox-secret",
+      TELEGRAM_API_URL: sandboxUrl,
+      LLM_PROVIDER: "openai",
+      OPENAI_BASE_URL: `${sandboxUrl}/v1`,
+      GPT_STREAM: "true",
+    });
+    const [{ createSandbox }, telegramApi, { namespacedPocketBase, namespacedRedis, withBot }, { createChatBot }, { createNotifyCallbacks }] = await Promise.all([
+      import("../src/sandbox/index.js"),
+      import("../src/telegram.js"),
+      import("../src/bots.js"),
+      import("../src/chat-bot.js"),
+      import("../src/notify-callbacks.js"),
+    ]);
+    sandbox = createSandbox();
+    sandboxServer.on("request", sandbox.app);
+    telegram = telegramApi;
+
+    // the bot as index.js wires it, on in-memory redis and PocketBase
+    const redis = createMemoryRedis();
+    memoryPb = createMemoryPocketBase();
+    chatBot = createChatBot({
+      pb: namespacedPocketBase(memoryPb),
+      redis,
+      botRedis: namespacedRedis(redis),
+      notifyCallbacks: createNotifyCallbacks({ redis }),
+    });
+    chatBot.chatQueue.start();
+
+    botServer.on("request", async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req)
+        chunks.push(chunk);
+      if (req.headers["x-telegram-bot-api-secret-token"] !== "sandbox-secret") {
+        res.writeHead(401).end();
+        return;
+      }
+      await withBot("default", () => chatBot.handleUpdate(JSON.parse(Buffer.concat(chunks).toString())));
+      res.end();
+    });
+    const webhookUrl = await listen(botServer);
+    await telegram.callTelegram("setWebhook", { url: `${webhookUrl}/webhook`, secret_token: "sandbox-secret" });
+  });
+
+  beforeEach(async () => {
+    await post("/sandbox/reset", {});
+    await fetch(`${sandboxUrl}/sandbox/ai/rules`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rules: [{ match: "weather", reply: WEATHER }] }),
+    });
+  });
+
+  afterAll(async () => {
+    await chatBot.chatQueue.stop();
+    sandboxServer.close();
+    botServer.close();
+  });
+
+  it("answers an injected message with the scripted AI reply", async () => {
+    const delivered = await post("/sandbox/updates", { chat_id: 42, text: "What is the weather?" });
+    expect(delivered).toMatchObject({ delivered: "webhook", status: 200 });
+
+    // the answer comes from the chat queue, after the webhook returned
+    await vi.waitFor(() => expect(sandbox.telegram.messages(42).map(message => message.text)).toEqual([WEATHER]), { timeout: 5000 });
+    expect(sandbox.ai.requests()).toMatchObject([{ prompt: "What is the weather?" }]);
+
+    const edits = sandbox.telegram.events().filter(event => event.method === "editMessageText");
+    expect(sent(42)).toMatchObject([{ text: "In process... 🧑🏻‍💻" }]);
+    expect(edits.length).toBeGreaterThan(0);
+    expect(edits.every(event => event.message_id === sent(42)[0].message_id)).toBe(true);
+    expect(edits.at(-1).text).toBe(WEATHER);
+
+    await vi.waitFor(() => expect(memoryPb.records("messages").map(record => [record.role, record.content])).toEqual([
+      ["user", "What is the weather?"],
+      ["assistant", WEATHER],
+    ]));
+    expect(memoryPb.records("telegram_users")).toMatchObject([{ chat_id: "42", first_name: "User 42" }]);
+  });
+
+  it("answers commands without asking the AI", async () => {
+    await post("/sandbox/updates", { chat_id: 44, text: "/start" });
+
+    expect(sent(44)).toMatchObject([{ text: "Hello! I am ready to help you. Just send me a message. 🤖" }]);
+    expect(sandbox.ai.requests()).toEqual([]);
+  });
+
+  it("only answers group messages addressed to the bot, quoting them", async () => {
+    await post("/sandbox/updates", { chat_id: -1001, from_id: 7, text: "Anyone know the weather?" });
+    expect(sandbox.telegram.events().filter(event => event.method === "sendMessage")).toEqual([]);
+
+    const text = "@sandbox100_bot what is the weather?";
+    const mention = { type: "mention", offset: 0, length: "@sandbox100_bot".length };
+    const message = { message_id: 900, from: { id: 7, is_bot: false, first_name: "Ann" }, chat: { id: -1001, type: "supergroup", title: "Sandbox" }, date: 0, text, entities: [mention] };
+    await post("/sandbox/updates", { update: { update_id: 1, message } });
+
+    await vi.waitFor(() => expect(sandbox.telegram.messages(-1001)).toMatchObject([{ text: WEATHER, reply_to_message: { message_id: 900 } }]), { timeout: 5000 });
+    expect(memoryPb.records("telegram_groups")).toMatchObject([{ chat_id: "-1001", title: "Sandbox" }]);
+  });
+
+  it("fails sends with the scripted 429 and 403 errors", async () => {
+    await post("/sandbox/faults", { method: "sendMessage", chat_id: 42, status: 429, retry_after: 3 });
+    await post("/sandbox/faults", { method: "sendMessage", chat_id: 43, status: 403 });
+
+    expect(await telegram.sendNotification(42, "first")).toMatchObject({ status: 429, retry_after: 3 });
+    expect(await telegram.sendNotification(43, "first")).toMatchObject({ status: 403, error: expect.stringMatching(/blocked by the user/) });
+
+    // a fault is used up by the call it failed
+    expect(await telegram.sendNotification(42, "second")).toMatchObject({ ok: true });
+    expect(sandbox.telegram.events().map(event => [event.type, event.chat_id, event.text])).toEqual([["sent", 42, "second"]]);
+  });
+});
@@ -0,0 +1,131 @@
+import { randomBytes } from "node:crypto";
+import PocketBase from "pocketbase";
+
+// pocketbase's own filter() quotes the params, it needs no server
+const client = new PocketBase("http://localhost");
+
+function notFound() {
+  return Object.assign(new Error("The requested resource wasn't found."), { status: 404 });
+}
+
+function parseValue(raw) {
+  const quoted = raw.match(/^(["'])(.*)\1$/s);
+  if (quoted)
+    return quoted[2].replace(/\\(["'\\])/g, "$1");
+  if (raw === "true" || raw === "false")
+    return raw === "true";
+  if (/^-?\d+(?:\.\d+)?$/.test(raw))
+    return Number(raw);
+  throw new Error(`unsupported filter value: ${raw}`);
+}
+
+const OPERATORS = {
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+// `field <op> value` conditions joined with &&, the filters the chat bot uses
+function matcher(filter) {
+  if (!filter)
+    return () => true;
+  const conditions = filter.split("&&").map((part) => {
+    const match = part.trim().match(/^([\w.]+)\s*(!=|>=|<=|[<=>])\s*(\S.*)$/s);
+    if (!match || match[3].includes("||"))
+      throw new Error(`unsupported filter: ${filter}`);
+    return { field: match[1], compare: OPERATORS[match[2]], value: parseValue(match[3].trim()) };
+  });
+  return record => conditions.every(({ field, compare, value }) => {
+    // unset fields read as pocketbase's zero values
+    const zero = typeof value === "boolean" ? false : typeof value === "number" ? 0 : "";
+    const actual = record[field] ?? zero;
+    return compare(typeof value === "string" ? String(actual) : actual, value);
+  });
+}
+
+function sorter(sort) {
+  const fields = (sort || "").split(",").filter(Boolean).map(field => field.startsWith("-") ? [field.slice(1), -1] : [field, 1]);
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      if (a[field] !== b[field])
+        return (a[field] > b[field] ? 1 : -1) * direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * An in-memory PocketBase client with the record api the chat bot uses
+ * (getFirstListItem, getList, getFullList, getOne, create, update, delete)
+ * and simple `&&` filters, for tests that cannot reach a PocketBase server.
+ * `records(name)` reads a collection back.
+ */
+export function createMemoryPocketBase() {
+  const collections = new Map();
+  let clock = 0;
+
+  const recordsOf = (name) => {
+    if (!collections.has(name))
+      collections.set(name, []);
+    return collections.get(name);
+  };
+  // records created in one millisecond still sort in order
+  const timestamp = () => new Date(Date.now() + clock++).toISOString().replace("T", " ");
+
+  function collection(name) {
+    const records = recordsOf(name);
+    const find = (filter, sort) => records.filter(matcher(filter)).sort(sorter(sort)).map(record => ({ ...record }));
+
+    return {
+      async getFirstListItem(filter) {
+        const [record] = find(filter);
+        if (!record)
+          throw notFound();
+        return record;
+      },
+      async getList(page = 1, perPage = 30, { filter, sort } = {}) {
+        const items = find(filter, sort);
+        return { page, perPage, totalItems: items.length, items: items.slice((page - 1) * perPage, page * perPage) };
+      },
+      async getFullList({ filter, sort } = {}) {
+        return find(filter, sort);
+      },
+      async getOne(id) {
+        const record = records.find(r => r.id === id);
+        if (!record)
+          throw notFound();
+        return { ...record };
+      },
+      async create(data) {
+        const now = timestamp();
+        const record = { ...data, id: randomBytes(8).toString("hex").slice(0, 15), created: now, updated: now };
+        records.push(record);
+        return { ...record };
+      },
+      async update(id, data) {
+        const record = records.find(r => r.id === id);
+        if (!record)
+          throw notFound();
+        Object.assign(record, data, { updated: timestamp() });
+        return { ...record };
+      },
+      async delete(id) {
+        const index = records.findIndex(r => r.id === id);
+        if (index < 0)
+          throw notFound();
+        records.splice(index, 1);
+        return true;
+      },
+    };
+  }
+
+  return {
+    collection,
+    filter: (raw, params) => client.filter(raw, params),
+    autoCancellation: () => {},
+    records: name => recordsOf(name).map(record => ({ ...record })),
+  };
+}
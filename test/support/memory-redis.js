@@ -0,0 +1,74 @@
+import RedisMock from "ioredis-mock";
+
+// node-redis option objects ({ EX: 60, NX: true }) as redis arguments
+function flags(options = {}) {
+  return Object.entries(options).flatMap(([name, value]) => value === true ? [name] : [name, value]);
+}
+
+// node-redis v5 arguments ➜ ioredis arguments, for the commands that differ
+function translate(command, args) {
+  switch (command) {
+    case "set": {
+      const [key, value, options] = args;
+      return [key, value, ...flags(options)];
+    }
+    case "zAdd": {
+      const [key, members, options] = args;
+      return [key, ...flags(options), ...[members].flat().flatMap(({ score, value }) => [score, value])];
+    }
+    case "del":
+      return args.flat();
+    case "eval": {
+      const [script, { keys = [], arguments: argv = [] } = {}] = args;
+      return [script, keys.length, ...keys, ...argv];
+    }
+    default:
+      return args;
+  }
+}
+
+// lua false comes back as null from node-redis
+function fromLua(result) {
+  return result === false ? null : result;
+}
+
+function wrapMulti(multi) {
+  const chain = new Proxy(multi, {
+    get(object, prop) {
+      if (prop === "exec") {
+        return async () => (await object.exec()).map(([error, result]) => {
+          if (error)
+            throw error;
+          return result;
+        });
+      }
+      return (...args) => {
+        object[prop.toLowerCase()](...translate(prop, args));
+        return chain;
+      };
+    },
+  });
+  return chain;
+}
+
+// ioredis-mock shares its data between clients of the same host and port
+let nextPort = 1;
+
+/**
+ * An empty in-memory redis with the node-redis v5 client api the app uses,
+ * lua scripts included, for tests that cannot reach a redis server.
+ */
+export function createMemoryRedis() {
+  const mock = new RedisMock({ port: nextPort++ });
+  return new Proxy(mock, {
+    get(object, prop) {
+      if (prop === "multi")
+        return () => wrapMulti(object.multi());
+      if (prop === "eval")
+        return async (...args) => fromLua(await object.eval(...translate(prop, args)));
+      if (typeof prop !== "string" || typeof object[prop.toLowerCase()] !== "function")
+        return Reflect.get(object, prop);
+      return (...args) => object[prop.toLowerCase()](...translate(prop, args));
+    },
+  });
+}